@@ -3,17 +3,40 @@
 //
 // The TRWebSocketController is a generic interface supporting the ability to connect and receive real-time market data quotes from the
 // Thomson Reuters Elektron WebSocket interface.  The controller is intentionally designed as a reusable interface allowing appplication
-// communcation to work with any Javascript framework.
+// communcation to work with any Javascript framework.  The same controller runs within the browser and within Node.js, where
+// the WebSocket implementation (eg: the 'ws' package) is supplied via the 'WebSocket' option of the constructor.
 //
 // Interface:
 //
-//      TRWebSocketController()
+//      TRWebSocketController(options={})
 //      TRWebSocketController.connect(server, user, appId="256", position="127.0.0.1");
-//      TRWebSocketController.requestData(rics, options={});
-//      TRWebSocketController.requestNews(rics, serviceName=null);
-//      TRWebSocketController.closeRequest(rics, domain="MarketPrice")
+//      TRWebSocketController.connectAsync(server, user, appId="256", position="127.0.0.1", timeout=30000);
+//      TRWebSocketController.requestData(rics, options={});           Returns TRSubscription(s)
+//      TRWebSocketController.requestNews(rics, serviceName=null);      Returns TRSubscription(s)
+//      TRWebSocketController.snapshot(rics, options={});               Returns Promise
+//      TRWebSocketController.requestChain(chainRic, options={});       Returns TRChain
+//      TRWebSocketController.requestSymbolList(name, options={});      Returns TRSymbolList
+//      TRWebSocketController.reissue(rics, options={}, domain="MarketPrice", service=null)
+//      TRWebSocketController.pause(rics, domain="MarketPrice", service=null)
+//      TRWebSocketController.resume(rics, domain="MarketPrice", service=null)
+//      TRWebSocketController.pauseAll()
+//      TRWebSocketController.resumeAll()
+//      TRWebSocketController.post(ric, fields, options={});           Returns Promise
+//      TRWebSocketController.closeRequest(rics, domain="MarketPrice", service=null)
 //      TRWebSocketController.closeAllRequests()
+//      TRWebSocketController.disconnect()
 //      TRWebSocketController.loggedIn()
+//      TRWebSocketController.getRecord(ric, domain="MarketPrice", service=null)
+//      TRWebSocketController.getBook(ric, domain="MarketByPrice", service=null)
+//      TRWebSocketController.requestDictionary(options={});           Returns Promise
+//      TRWebSocketController.loadDictionary(fieldText, enumText)
+//      TRWebSocketController.getField(field)
+//      TRWebSocketController.requestDirectory(options={});            Returns Promise
+//      TRWebSocketController.getServices()
+//      TRWebSocketController.getService(service)
+//      TRWebSocketController.on(event, eventFn)
+//      TRWebSocketController.once(event, eventFn)
+//      TRWebSocketController.off(event, eventFn)
 //      TRWebSocketController.onStatus(eventFn)
 //      TRWebSocketController.onMarketData(eventFn)
 //      TRWebSocketController.onNews(eventFn)
@@ -21,77 +44,362 @@
 // Status Events:
 //      TRWebSocketController.status
 //
+// Module:
+//      The controller is packaged as a UMD module.  Within the browser, the 'TRWebSocketController' and 'MRN_DOMAIN' globals
+//      are defined.  As a CommonJS/AMD module (or ES module via TRWebSocketController.mjs), the controller class is exported
+//      along with the status events (status) and the domain constants (Domains, MRN_DOMAIN).  The pako library, used to 
+//      decompress news, is imported as a dependency.  Without it, Node.js falls back on its built-in zlib module.
+//
 // Author:  Nick Zincone
 // Version: 1.0
 // Date:    November 2017.
 //****************************************************************************************************************************************** 
 
+(function (root, factory) {
+    if ( typeof define == "function" && define.amd ) {
+        // AMD
+        define(["pako"], factory);
+    } else if ( typeof module == "object" && module.exports ) {
+        // CommonJS - pako is optional as Node.js offers its own zlib
+        let pako = null;
+        try { pako = require("pako"); } catch (e) {}
+        module.exports = factory(pako);
+    } else {
+        // Browser globals - pako is picked up from the 'zlib.js' script when news is processed
+        root.TRWebSocketController = factory(null);
+        root.MRN_DOMAIN = root.TRWebSocketController.MRN_DOMAIN;
+    }
+}(typeof self != "undefined" ? self : this, function (pako) {
 
 const MRN_DOMAIN = "NewsTextAnalytics";
 
+// Domain models supported by the Elektron WebSocket interface
+const Domains = {
+    Login: "Login",
+    Source: "Source",
+    Dictionary: "Dictionary",
+    MarketPrice: "MarketPrice",
+    MarketByOrder: "MarketByOrder",
+    MarketByPrice: "MarketByPrice",
+    MarketMaker: "MarketMaker",
+    SymbolList: "SymbolList",
+    NewsTextAnalytics: MRN_DOMAIN
+};
+
+// Domain types, as numbered within the Source Directory, eg: the capabilities of a service
+const DomainTypes = {
+    1: Domains.Login,
+    4: Domains.Source,
+    5: Domains.Dictionary,
+    6: Domains.MarketPrice,
+    7: Domains.MarketByOrder,
+    8: Domains.MarketByPrice,
+    9: Domains.MarketMaker,
+    10: Domains.SymbolList,
+    33: Domains.NewsTextAnalytics
+};
+
 //
-// TRWebSocketController()
+// TRWebSocketController(options={})
 // Quote controller instance managing connection, login and message interaction to a TR Elektron WebSocket service.
 //
-function TRWebSocketController() {  
+// Parameters:
+//      options   Collection of properties defining the behavior of the controller.  Optional.
+//          Options
+//          {
+//              WebSocket: <Function>           // WebSocket constructor, eg: require('ws') within Node.js.
+//                                              // Default: the global WebSocket provided by the browser.
+//              reconnect: <Object|Boolean>     // Automatic reconnection upon a lost connection.  Specify false to disable.
+//              {
+//                  initialDelay: <Number>      // Delay (ms) before the first reconnection attempt.  Default: 1000.
+//                  maxDelay: <Number>          // Upper limit (ms) of the delay between attempts.  Default: 30000.
+//                  multiplier: <Number>        // Factor applied to the delay after each failed attempt.  Default: 2.
+//                  jitter: <Number>            // Random variation (fraction of the delay) applied to each attempt.  Default: 0.2.
+//                  maxAttempts: <Number>       // Attempts before giving up.  Default: 0 (unlimited).
+//              }
+//              heartbeat: <Object>             // Watchdog detecting a stalled connection.
+//              {
+//                  timeout: <Number>           // Time (ms) without any message from the server, including Pings, after
+//                                              // which the connection is considered dead and recycled.  Default: 0 (disabled).
+//                  pingInterval: <Number>      // Interval (ms) at which the controller sends its own Ping, expecting a
+//                                              // Pong from the server.  Default: 0 (disabled).
+//              }
+//              throttle: <Object>              // Splitting and pacing of item requests, eg: for large watchlists.
+//              {
+//                  maxBatchSize: <Number>      // Items per batch request.  Larger batches are split.  Default: 0 (unlimited).
+//                  requestsPerSecond: <Number> // Request messages sent per second.  Default: 0 (unlimited).
+//                  maxOutstanding: <Number>    // Items awaiting their response (refresh or status) before further
+//                                              // requests are held back.  Default: 0 (unlimited).
+//              }
+//              recordCache: <Boolean>          // Maintain the merged image (fields) of each stream - see getRecord().
+//                                              // Default: true.
+//              orderBooks: <Boolean>           // Maintain the order book (sorted depth) of each MarketByPrice and 
+//                                              // MarketByOrder stream - see getBook().  Default: true.
+//              decodeEnums: <Boolean>          // Once a dictionary is loaded, present enumerated fields within the
+//                                              // delivered messages as their display strings.  Default: true.
+//              requestTimeout: <Object>        // Detection of requests left unanswered (no refresh or status).
+//              {
+//                  timeout: <Number>           // Time (ms) to wait for the response of an item.  Default: 0 (disabled).
+//                  retries: <Number>           // Times the stream is closed and requested again upon a timeout.
+//                                              // Default: 0 (no retry).
+//              }
+//          }
+//
+function TRWebSocketController(options) {  
     "use strict";
     
+    options = options || {};
     this._loggedIn = false;
-    this._statusCb = null;
-    this._marketDataCb = null;
-    this._newsStoryCb = null;
+    this._listeners = {};       // Event listeners - see on()
     this._msgCb = null;
     this._loginParams = {
         user: "",
         appID: "",
         position: ""
     };
+    this._WebSocket = (typeof options.WebSocket == "function" ? options.WebSocket : null);
+    this._endpoints = [];       // Ordered list of servers - see connect()
+    this._endpointIndex = 0;    // Server we are currently using
+    
+    // Automatic reconnection
+    this._reconnectParams = {
+        enabled: true,
+        initialDelay: 1000,
+        maxDelay: 30000,
+        multiplier: 2,
+        jitter: 0.2,
+        maxAttempts: 0
+    };
+    this._reconnectAttempt = 0;
+    this._reconnectTimer = null;
+    
+    // Heartbeat watchdog
+    this._heartbeatParams = {
+        timeout: 0,
+        pingInterval: 0
+    };
+    this._heartbeatTimer = null;
+    this._lastActivity = 0;     // Time we last received a message from the server
+    this._lastPing = 0;         // Time we last sent our own Ping
+    
+    // Outstanding connectAsync() request, if any
+    this._pendingLogin = null;
+    
+    // Posts awaiting their acknowledgement, by PostID - see post()
+    this._pendingPosts = {};
+    this._lastPostID = 0;
+    
+    // Requests made prior to a successful login, submitted once logged in
+    this._requestQueue = [];
+    
+    // Request throttling
+    this._throttleParams = {
+        maxBatchSize: 0,
+        requestsPerSecond: 0,
+        maxOutstanding: 0
+    };
+    this._pacedQueue = [];      // Requests held back by the throttle, in order
+    this._sentIDs = {};         // IDs of the items requested from the server
+    this._sentTimes = [];       // Times of the requests sent within the last second
+    this._outstanding = {};     // IDs of the items awaiting their response
+    this._paceTimer = null;
+    
+    // Merged images of our streams - see getRecord()
+    this._recordCache = (options.recordCache !== false);
+    
+    // Order books of our MarketByPrice/MarketByOrder streams - see getBook()
+    this._orderBooks = (options.orderBooks !== false);
+    
+    // Field definitions - see requestDictionary() and loadDictionary()
+    this.dictionary = new TRDictionary();
+    this._decodeEnums = (options.decodeEnums !== false);
+    
+    // Unanswered requests
+    this._requestTimeoutParams = {
+        timeout: 0,
+        retries: 0
+    };
+    
+    // ******************
+    // Parse options
+    // ******************
+    if ( options.reconnect === false )
+        this._reconnectParams.enabled = false;
+    else
+        this._mergeOptions(this._reconnectParams, options.reconnect);
+    
+    this._mergeOptions(this._heartbeatParams, options.heartbeat);
+    this._mergeOptions(this._throttleParams, options.throttle);
+    this._mergeOptions(this._requestTimeoutParams, options.requestTimeout);
 
     // Manage our Request ID's required by the Elektron WebSocket interface
     let _requestIDs = {};
     let _openStreamTable = {};
+    let _batchRequests = {};    // Batch ID -> {domain, service, pending: ric -> ID, acknowledged} - see _bindBatchItem()
+    let _records = {};          // Item key -> merged image of the stream - see getRecord()
+    let _books = {};            // Item key -> order book of the stream - see getBook()
+    let _services = {};         // Service ID -> filters of the service - see requestDirectory()
     let _lastID = 1;    // 0 - reserved for login
     
     // ***************************************************************
     // _getNextID
     // Retrieve the next available ID
     // ***************************************************************
-    this._getNextID = function(ric, domain, cb) {
-        // Ensure the ID we return is valid
-        if ( _lastID == Number.MAX_SAFE_INTEGER ) _lastID = 0;
-        let nextID = _lastID;
-        
+    this._getNextID = function(ric, domain, cb, options) {
         // If a request comes in for a batch, Elektron makes the assumption the ID's will be sequential from
         // the base request.  That is, we make a request for a batch of 2 items with ID:13.  The 2 items will
-        // be given the IDs 14, 15 respectively.
+        // be given the IDs 14, 15 respectively.  We reserve the batch ID along with the IDs of its items.
+        let count = (Array.isArray(ric) ? ric.length + 1 : 1);
+        let nextID = _reserveIDs(count);
+        
         if ( Array.isArray(ric) ) {
+            // Record the batch until all its items have answered - see _bindBatchItem()
+            let batch = {domain: domain, service: options.Service, pending: {}, acknowledged: false};
+            
             for (var i=0; i < ric.length; i++) {
-                // Check an upper limit.  If reached roll over and start again.
-                if ( _lastID == Number.MAX_SAFE_INTEGER ) _lastID = 1;
-                _lastID++;
-                
                 // Assign the new ID
-                this._assignNewID(ric[i] + ":" + domain, cb);
+                this._assignNewID(nextID + i + 1, ric[i], domain, cb, options);
+                batch.pending[ric[i]] = nextID + i + 1;
             }
+            
+            _batchRequests[nextID] = batch;
         }
         else {
             // Assign the new ID
-            this._assignNewID(ric + ":" + domain, cb);
-            
-            _lastID++;  
+            this._assignNewID(nextID, ric, domain, cb, options);
         }
         
         return(nextID);
     }
     
+    // Reserve a run of consecutive IDs.  IDs still used by an open stream or a batch request are skipped.  Once 
+    // the upper limit is reached, we roll over and start again.
+    let _reserveIDs = function(count) {
+        let id = _lastID;
+        
+        for (var i=0; i < count; i++) {
+            if ( id + i > Number.MAX_SAFE_INTEGER ) {
+                id = 1;
+                i = -1;
+            }
+            else if ( _requestIDs.hasOwnProperty(id + i) || _batchRequests.hasOwnProperty(id + i) ) {
+                id = id + i + 1;
+                i = -1;
+            }
+        }
+        
+        _lastID = id + count;
+        return(id);
+    }
+    
     // If we try to open the item under a new stream, Elektron will close the existing one
     // And open under the new one.  We must ensure our tables are up to date.
-    this._assignNewID = function(item, cb) {
-        if ( _openStreamTable.hasOwnProperty(item) )
+    // Note: each open stream tracks its consumers (subscription handles), each with its own processing callback
+    //       and request options.  The options on the wire are the merge of the consumer options.
+    this._assignNewID = function(id, ric, domain, cb, options={}) {
+        let item = this._itemKey(ric, domain, options.Service);
+        
+        if ( _openStreamTable.hasOwnProperty(item) ) {
             delete _requestIDs[_openStreamTable[item].id];
+            clearTimeout(_openStreamTable[item].timer);
+            _openStreamTable[item].consumers.forEach(function(handle) { handle._setClosed(); });
+        }
+        
+        _requestIDs[id] = item;
+        _openStreamTable[item] = {id: id, key: item, ric: ric, domain: domain, options: {}, consumers: [], 
+                                  streaming: options.Streaming !== false};
+        this._addConsumer(_openStreamTable[item], cb, options);
+    }
+    
+    // An item answered (refresh or status) on the specified ID.  Although Elektron assigns the items of a batch
+    // sequential IDs in the order requested, we rely on the name of the item within the response: the pending 
+    // item of the batch is bound to the ID it answered on.  Returns the ID the item was expected on, if any.
+    //
+    // The same item may be pending within several batches, eg: requested from different services.  The batch
+    // expecting the item on the ID it answered on is preferred.  Otherwise, the service of the response, when
+    // present, must match the service of the batch - a batch requested without a service matches any service.
+    this._bindBatchItem = function(id, name, domain, service) {
+        let candidates = Object.keys(_batchRequests).filter(function(batchID) {
+            let batch = _batchRequests[batchID];
+            return( batch.domain == domain && batch.pending.hasOwnProperty(name) &&
+                    (typeof batch.service != "string" || typeof service != "string" || batch.service === service) );
+        });
+        let exact = candidates.filter(function(batchID) { return( _batchRequests[batchID].pending[name] == id ); });
+        
+        let batchID = exact.concat(candidates)[0];
+        
+        if ( batchID === undefined )
+            return;
+        
+        let batch = _batchRequests[batchID];
+        let expected = batch.pending[name];
+        delete batch.pending[name];
+        this._ackBatch(batchID, false);
+        
+        // The item answered on another ID - move it, unless the ID belongs to another of our streams.  If
+        // the ID was expected for another item of a batch yet to answer, the two items swap IDs.
+        if ( expected != id && _requestIDs.hasOwnProperty(expected) ) {
+            let other = _requestIDs[id];
+            let otherBatch = (other ? _findPending(_openStreamTable[other].ric, id) : undefined);
+            
+            if ( !other || otherBatch ) {
+                _requestIDs[id] = _requestIDs[expected];
+                _openStreamTable[_requestIDs[id]].id = id;
+                
+                if ( otherBatch ) {
+                    _requestIDs[expected] = other;
+                    _openStreamTable[other].id = expected;
+                    otherBatch.pending[_openStreamTable[other].ric] = expected;
+                }
+                else
+                    delete _requestIDs[expected];
+            }
+        }
+        
+        return(expected);
+    }
+    
+    // Retrieve the batch request where the item is yet to answer on the specified ID.
+    let _findPending = function(ric, id) {
+        for (var batchID in _batchRequests) {
+            if ( _batchRequests[batchID].pending[ric] === id )
+                return( _batchRequests[batchID] );
+        }
+    }
+    
+    // Whether the ID identifies one of our batch requests.
+    this._isBatch = function(id) {
+        return( _batchRequests.hasOwnProperty(id) );
+    }
+    
+    // Batch requests are closed by the server once processed (Status message on the batch ID).  The batch is
+    // acknowledged as such, or if it has been requested as individual items instead, and is done with once 
+    // all its items have answered.
+    this._ackBatch = function(id, acknowledged=true) {
+        let batch = _batchRequests[id];
         
-        _requestIDs[_lastID] = item;
-        _openStreamTable[item] = {id: _lastID, processingCb: cb};       
+        if ( !batch )
+            return;
+        
+        if ( acknowledged )
+            batch.acknowledged = true;
+        
+        if ( batch.acknowledged && Object.keys(batch.pending).length == 0 )
+            delete _batchRequests[id];
+    }
+    
+    // The connection is gone.  Open items are re-requested individually - no batch response is coming.
+    // Note: batches still queued awaiting login are yet to be requested.
+    this._ackBatches = function() {
+        for (var id in _batchRequests) {
+            let pending = _batchRequests[id].pending;
+            let queued = Object.keys(pending).some(function(name) {
+                return( _requestIDs.hasOwnProperty(pending[name]) && _openStreamTable[_requestIDs[pending[name]]].queued );
+            });
+            
+            if ( !queued )
+                this._ackBatch(id);
+        }
     }
     
     
@@ -104,10 +412,24 @@ function TRWebSocketController() {
         return(result);
     }
     
-    // Retrieve specific processing callback based on id.
-    this._getCallback = function(id) {
+    // Retrieve the details (id, ric, domain, options, consumers) of all the open streams.
+    this._getOpenItems = function() {
+        let result = [];
+        for (var i in _openStreamTable)
+            result.push(_openStreamTable[i]);
+        
+        return(result);
+    }
+    
+    // Retrieve the details of the open stream based on id.
+    this._getItem = function(id) {
         if ( _requestIDs.hasOwnProperty(id) )
-            return( _openStreamTable[_requestIDs[id]].processingCb );
+            return( _openStreamTable[_requestIDs[id]] );
+    }
+    
+    // Retrieve the details of the open stream based on the item key (ric:domain[:service]).
+    this._getItemByKey = function(item) {
+        return( _openStreamTable[item] );
     }
     
     // Remove the item from our tables.  returns the ID associated with the request.
@@ -118,14 +440,60 @@ function TRWebSocketController() {
             id = _openStreamTable[item].id;
             
             // clean up tables
+            clearTimeout(_openStreamTable[item].timer);
+            _openStreamTable[item].consumers.forEach(function(handle) { handle._setClosed(); });
             delete _requestIDs[_openStreamTable[item].id];
+            
+            // A closed item is no longer expected to answer its batch request
+            for (var batchID in _batchRequests) {
+                let pending = _batchRequests[batchID].pending;
+                if ( pending[_openStreamTable[item].ric] === id ) {
+                    delete pending[_openStreamTable[item].ric];
+                    this._ackBatch(batchID, false);
+                }
+            }
+            
             delete _openStreamTable[item];
+            delete _records[item];
+            delete _books[item];
         }
         
         return(id);
     }
     
     
+    // Retrieve or create the merged image of the stream based on the item key.
+    this._getRecord = function(item, create) {
+        if ( !_records.hasOwnProperty(item) && create )
+            _records[item] = {fields: {}, complete: false};
+        
+        return( _records[item] );
+    }
+    
+    // Retrieve or create the order book of the stream based on the item key.
+    this._getBook = function(item, create) {
+        if ( !_books.hasOwnProperty(item) && create )
+            _books[item] = new TROrderBook();
+        
+        return( _books[item] );
+    }
+    
+    // Retrieve or create the Source Directory entry of the service based on its ID.
+    this._getService = function(id, create) {
+        if ( !_services.hasOwnProperty(id) && create )
+            _services[id] = {id: id, filters: {}};
+        
+        return( _services[id] );
+    }
+    
+    this._getServiceEntries = function() {
+        return( Object.keys(_services).map(function(id) { return(_services[id]); }) );
+    }
+    
+    this._removeService = function(id) {
+        delete _services[id];
+    }
+    
     // Remove the items, based on ID, from our table
     this._removeID = function(id) {
         if (_requestIDs.hasOwnProperty(id))
@@ -148,6 +516,23 @@ function TRWebSocketController() {
     this._deleteNewsEnvelope = function(key) {
         delete _newsEnvelope[key];
     }
+    
+    // Clear all our stream and news tables, making the controller ready for a new connection.
+    this._resetTables = function() {
+        for (var i in _openStreamTable) {
+            clearTimeout(_openStreamTable[i].timer);
+            _openStreamTable[i].consumers.forEach(function(handle) { handle._setClosed(); });
+        }
+        
+        _requestIDs = {};
+        _openStreamTable = {};
+        _batchRequests = {};
+        _records = {};
+        _books = {};
+        _services = {};
+        _lastID = 1;
+        _newsEnvelope = {};
+    }
 }
 
 //
@@ -158,7 +543,14 @@ TRWebSocketController.prototype.status = {
     disconnected: 2,
     loginResponse: 3,
     msgStatus: 4,
-    msgError: 5
+    msgError: 5,
+    reconnecting: 6,
+    reconnectFailed: 7,
+    failover: 8,
+    requestsDiscarded: 9,
+    heartbeatTimeout: 10,
+    unknownStream: 11,
+    requestTimeout: 12
 };
 
 //
@@ -167,24 +559,105 @@ TRWebSocketController.prototype.status = {
 // framework will automatically issue a login to using the supplied user/appId/position parameters.
 //
 // Parameters:
-//      server      Address of the Elektron WebSocket server.  Format: hostname:port.  Required.
+//      server      Address of the Elektron WebSocket server.  Required.
+//                  Eg: 'ewa:15000'                         (hostname:port - connects to ws://ewa:15000/WebSocket)
+//                  Eg: 'wss://ewa:443/ws/WebSocket'        (Full URL)
+//                  Eg: {scheme: 'wss', host: 'ewa', ...}   (Endpoint options)
+//                  Eg: ['ads1:15000', 'ads2:15000']        (Failover list - any of the above formats)
+//          Endpoint options
+//          {
+//              scheme: <String>        // 'ws' or 'wss'.  Default: 'ws'.
+//              host: <String>          // Hostname or IP of the server.  Required.
+//              port: <Number>          // Port of the server.  Default: scheme default.
+//              path: <String>          // Path of the WebSocket endpoint.  Default: '/WebSocket'.
+//              protocols: <Array>      // WebSocket sub-protocol(s).  Default: ['tr_json2'].
+//          }
 //      user        DACs user ID.  Required.
 //      appId       DACs application ID.  Optional.  Default: '256'.
 //      position    DACs position.  Optional.  Default: '127.0.0.1'.
 //
+// When a list of servers is provided, the controller connects to the first one.  If the connection fails or is
+// lost, the next server within the list is tried in turn, restoring all open streams once logged in.  Failover
+// relies on the automatic reconnection - see the TRWebSocketController() 'reconnect' option.
+//
+// Calling connect() again replaces any existing connection, including a pending reconnection attempt.  Open 
+// streams are restored once logged in to the new server.
+//
 TRWebSocketController.prototype.connect = function(server, user, appId="256", position="127.0.0.1") { 
-    // Connect into our WebSocket server
-    this.ws = new WebSocket("ws://" + server + "/WebSocket", "tr_json2");
-    this.ws.onopen = this._onOpen.bind(this);
-    this.ws.onmessage = this._onMessage.bind(this);
-    this.ws.onclose = this._onClose.bind(this);
+    let servers = (Array.isArray(server) ? server : [server]);
+    if ( servers.length == 0 )
+        throw new Error("Invalid server specification.  At least one server is required.");
+    
+    // Replace any existing connection, including a pending reconnection attempt
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if ( this.ws ) {
+        this._closeSocket(1000, "Client reconnect");
+        this._connectionLost();
+        this._settlePosts(new Error("Connection replaced before the post was acknowledged"));
+    }
+    
+    this._endpoints = servers.map(this._parseEndpoint, this);
+    this._endpointIndex = 0;
     this._loginParams.user = user;
     this._loginParams.appId = appId;
     this._loginParams.position = position;
     
+    // Start a fresh series of reconnection attempts
+    this._reconnectAttempt = 0;
+    
+    // Connect into our WebSocket server
+    this._open();
+    
     return(this);
 }
 
+//
+// TRWebSocketController.connectAsync(server, user, appId="256", position="127.0.0.1", timeout=30000)
+// Promise-based variant of connect().  Initiate the connection and login and return a Promise that:
+//
+//      Resolves    with the Elektron login refresh once the login is accepted (State.Data === 'Ok').
+//      Rejects     with an Error if the connection cannot be established or is closed, the login is denied
+//                  or has not been accepted within the timeout.  Where available, the 'msg' property of the 
+//                  Error contains the Elektron login response.
+//
+// Given a list of servers, each one is tried in turn until the login is accepted.  A closed connection only 
+// rejects once every server within the list has been tried.  The timeout covers the whole list.
+//
+// Upon rejection, the controller is shut down - see disconnect() - ie: no reconnection is attempted.  Once the
+// login is accepted, a lost connection is re-established as configured by the 'reconnect' option.
+//
+// Parameters:
+//      server / user / appId / position    Refer to connect().
+//      timeout     Time (ms) to wait for the login to be accepted.  Optional.  Default: 30000.
+//
+// Eg:
+//      await controller.connectAsync("ewa:15000", "user");
+//      controller.requestData("TRI.N");
+//
+TRWebSocketController.prototype.connectAsync = function(server, user, appId="256", position="127.0.0.1", timeout=30000) { 
+    // Only a single request can be outstanding.  The connection of the superseded request is replaced by connect().
+    this._settleLogin(new Error("Login request superseded by a subsequent connectAsync()"));
+    
+    return new Promise(function(resolve, reject) {
+        this._pendingLogin = {
+            resolve: resolve,
+            reject: reject,
+            attempts: 0,        // Servers whose connection closed before the login was accepted
+            timer: setTimeout(function() {
+                this._failLogin(new Error("Login not accepted within " + timeout + "ms"));
+            }.bind(this), timeout)
+        };
+        
+        try {
+            this.connect(server, user, appId, position);
+        }
+        catch (e) {
+            this._failLogin(e);
+        }
+    }.bind(this));
+}
+
 //
 // TRWebSocketController.requestData(rics, options = {})
 // Request market data from our WebSocket server.
@@ -204,41 +677,61 @@ TRWebSocketController.prototype.connect = function(server, user, appId="256", po
 //                                      // Default: MarketPrice.
 //              View: <Array>           // Fields to retrieve.  Eg: ["BID", "ASK"]
 //                                      // Default: All fields.
+//              Priority: <Object>      // Priority of the stream: {Class: <Number>, Count: <Number>}.
+//                                      // Default: priority defaulted within ADS.
+//              timeout: <Number>       // Time (ms) to wait for the response (refresh or status) of each item.
+//                                      // Default: the 'requestTimeout' option of the controller.
+//              retries: <Number>       // Times the stream is closed and requested again upon a timeout.
+//                                      // Default: the 'requestTimeout' option of the controller.
 //          }
 //
+// Returns a subscription handle (TRSubscription) for the item, or an array of handles for a batch.  The handle
+// identifies the stream and allows it to be closed or reissued - see TRSubscription below.
+//
+// Subscriptions are shared: requesting an item (same ric, domain and service) that is already open does not open
+// a new stream.  The new consumer joins the existing stream, reissued with the merged View of all consumers, and
+// the stream is only closed once the last consumer releases it via its handle.
+//
+// Requests made prior to a successful login are queued and automatically submitted once the login is accepted.
+// Large batches are split and requests paced according to the 'throttle' option of the controller.
+//
 TRWebSocketController.prototype.requestData = function(rics, options={})
 {
-    if ( !this._loggedIn )
-        return;
-    
-    // Retrieve the next available ID
     let domain = (typeof options.Domain == "string" ? options.Domain : "MarketPrice");
-    let cb = (typeof options.cb == "function" ? options.cb : this._marketDataCb);
-    let id = this._getNextID(rics, domain, cb);
+    let cb = (typeof options.cb == "function" ? options.cb : this._processMarketData);
+    let handles = {};
     
-    // send marketPrice request message
-    let marketPrice = {
-        ID: id,
-        Domain: domain,
-        Key: {
-            Name: rics
+    // Items already open are shared - the new consumer joins the existing stream
+    let fresh = (Array.isArray(rics) ? rics : [rics]).filter(function(ric) {
+        let item = this._getItemByKey(this._itemKey(ric, domain, options.Service));
+        
+        if ( item )
+            handles[ric] = this._joinItem(item, cb, options);
+        
+        return( !item );
+    }, this);
+    
+    // Large batches are split into several batch requests - see the 'throttle' option
+    let requests = (Array.isArray(rics) ? this._splitBatch(fresh) : fresh);
+    
+    for (var i=0; i < requests.length; i++) {
+        // Retrieve the next available ID.  Each batch request has its own sequence of IDs.
+        let id = this._getNextID(requests[i], domain, cb, options);
+        
+        if ( !this._loggedIn ) {
+            // Not yet logged in - hold onto the request until we are
+            this._queueRequest(id, requests[i], domain, options);
         }
-    };
-
-    // ******************
-    // Parse options
-    // ******************
-    if ( typeof options.Service == "string" )
-        marketPrice.Key.Service = options.Service;
+        else
+            this._sendRequest(id, requests[i], domain, options);
+    }
     
-    if ( typeof options.Streaming == "boolean" )
-        marketPrice.Streaming = options.Streaming;
+    fresh.forEach(function(ric) {
+        handles[ric] = this._getItemByKey(this._itemKey(ric, domain, options.Service)).consumers[0];
+    }, this);
     
-    if ( Array.isArray(options.View) )
-        marketPrice.View = options.View;
-
-    // Submit to server
-    this._send(JSON.stringify(marketPrice)); 
+    // Subscription handle(s) for the request
+    return( Array.isArray(rics) ? rics.map(function(ric) { return(handles[ric]); }) : handles[rics] );
 };
 
 //
@@ -256,73 +749,557 @@ TRWebSocketController.prototype.requestData = function(rics, options={})
 // 
 TRWebSocketController.prototype.requestNews = function(ric, serviceName=null)
 {
-    this.requestData(ric, {
+    return this.requestData(ric, {
             Service: serviceName, 
             Domain: MRN_DOMAIN, 
             cb: this._processNewsEnvelope 
         });
 };
 
-// TRWebSocketController.closeRequest(rics, domain)
 //
-// Close the open stream based on the specified ric and domain.
+// TRWebSocketController.snapshot(rics, options={})
+// Promise-based, one-off (non-streaming) request for the specified item(s).  Returns a Promise that:
+//
+//      Resolves    once every item has answered, with an object mapping each ric to its refresh message or, 
+//                  if the item could not be retrieved, to the status message closing its stream.
+//      Rejects     with an Error if not every item has answered within the timeout.  The 'results' property 
+//                  of the Error contains the items that did answer.
+//
+// The messages are presented to the Promise only, ie: not to the onMarketData() callback.
 //
 // Parameters:
-//      ric(s)       Reuters Instrument Codes defining the market data item. Required.
-//                   Eg: 'TRI.N'   (Single item)
-//                   Eg: ['TRI.N', 'AAPL.O']
-//      domain       Domain model for request.  Optional.  Default: MarketPrice.
-//   
-TRWebSocketController.prototype.closeRequest = function(ric, domain="MarketPrice")
+//      ric(s)    Reuters Instrument Codes defining the market data item(s). Required.  
+//                Eg: 'TRI.N'              (Single)
+//                Eg: ['TRI.N', 'AAPL.O']  (Batch)
+//      options   Options of the request (Service, Domain, View) - see requestData().  Optional.
+//                In addition:
+//                  timeout: <Number>       // Time (ms) to wait for all items to answer.  Default: 30000.
+//
+// Eg:
+//      let quotes = await controller.snapshot(["TRI.N", "AAPL.O"], {View: ["BID", "ASK"]});
+//      quotes["TRI.N"].Fields.BID
+//
+TRWebSocketController.prototype.snapshot = function(rics, options={})
 {
-    // Build id array
-    let ids = [];
+    let timeout = (typeof options.timeout == "number" ? options.timeout : 30000);
+    let request = Object.assign({}, options, {Streaming: false, cb: function() {}});
+    let names = (Array.isArray(rics) ? rics : [rics]).filter(function(ric, i, all) { return(all.indexOf(ric) == i); });
     
-    if ( Array.isArray(ric) ) {
-        for (var i=0; i < ric.length; i++)          
-            ids.push(this._removeItem(ric[i] + ":" + domain));
-    }
-    else
-        ids.push(this._removeItem(ric + ":" + domain));
+    delete request.timeout;
     
-    // Close the open streams...
-    let close = {
-        ID: (ids.length == 1 ? ids[0] : ids),
-        Type: "Close"
-    };
+    return new Promise(function(resolve, reject) {
+        let results = {};
+        let outstanding = names.length;
+        let timer = null;
+        
+        // Record the answer of the item, settling once all items have answered
+        let answer = function(ric, msg) {
+            if ( results.hasOwnProperty(ric) )
+                return;
+            
+            results[ric] = msg;
+            if ( --outstanding == 0 ) {
+                clearTimeout(timer);
+                resolve(results);
+            }
+        };
+        
+        let handles = this.requestData(Array.isArray(rics) ? names : names[0], request);
+        handles = (Array.isArray(handles) ? handles : [handles]);
+        
+        handles.forEach(function(handle) {
+            handle.onRefresh(function(msg) {
+                if ( msg.Complete !== false ) answer(this.ric, msg);
+            });
+            handle.onStatus(function(msg) {
+                if ( msg.State && msg.State.Stream !== "Open" ) answer(this.ric, msg);
+            });
+        });
+        
+        if ( outstanding == 0 ) {
+            resolve(results);
+            return;
+        }
+        
+        timer = setTimeout(function() {
+            // Give up on the items yet to answer
+            handles.forEach(function(handle) { handle.close(); });
+            
+            let error = new Error("Snapshot not completed within " + timeout + "ms");
+            error.results = results;
+            reject(error);
+        }, timeout);
+    }.bind(this));
+};
 
-    // Submit to server
-    this._send(JSON.stringify(close));
+//
+// TRWebSocketController.requestChain(chainRic, options={})
+// Expand the chain, eg: 0#.DJI, into its constituents.  A chain is a sequence of MarketPrice records, each listing
+// up to 14 constituents within its link fields and the name of the next record of the chain.  Both templates are
+// supported:
+//
+//      Short       LINK_1 ... LINK_14,         NEXT_LR         Eg: 0#.DJI
+//      Long        LONGLINK1 ... LONGLINK14,   LONGNEXTLR      Eg: 0#.FTSE
+//
+// The chain records remain open, keeping the list of constituents current as the chain updates.
+//
+// Parameters:
+//      chainRic    Name of the first record of the chain.  Required.
+//      options     Collection of properties defining the options for the request.  Optional.
+//          Options 
+//          {
+//              Service: <String>           // Name of service providing the chain. 
+//                                          // Default: service defaulted within ADS.
+//              subscribe: <Boolean|Object> // Subscribe to the constituents.  Specify true, or the options of the 
+//                                          // requests - see requestData().  Default: false.
+//          }
+//
+// Returns a chain handle (TRChain) presenting the constituents - see TRChain below.
+//
+// Eg:
+//      controller.requestChain("0#.DJI", {subscribe: {View: ["BID", "ASK"]}}).onChange(function(constituents) {
+//          console.log(this.ric + ": " + constituents.join(", "));
+//      });
+//
+TRWebSocketController.prototype.requestChain = function(chainRic, options={})
+{
+    let chain = new TRChain(this, chainRic, options);
+    chain._open(chainRic);
     
-    return(this);
+    return(chain);
 };
 
-// TRWebSocketController.closeAllRequests
 //
-// Close all outstanding streaming requests.
+// TRWebSocketController.requestSymbolList(name, options={})
+// Request the symbol list, eg: a list of the items of an exchange, via the SymbolList domain.  The symbols are the 
+// keys of the Map entries of the list.  The list remains open, symbols joining (Add) and leaving (Delete) the list
+// as it updates.
+//
+// Parameters:
+//      name        Name of the symbol list.  Required.
+//      options     Collection of properties defining the options for the request.  Optional.
+//          Options 
+//          {
+//              Service: <String>           // Name of service providing the symbol list. 
+//                                          // Default: service defaulted within ADS.
+//              subscribe: <Boolean|Object> // Open a stream for each symbol, closed once the symbol leaves the list.
+//                                          // Specify true, or the options of the requests - see requestData().
+//                                          // Default: false.
+//          }
+//
+// Returns a symbol list handle (TRSymbolList) presenting the symbols - see TRSymbolList below.
+//
+// Eg:
+//      controller.requestSymbolList("0#UNIVERSE.NB", {subscribe: true}).onChange(function(symbols, added, removed) {
+//          console.log(this.name + ": " + symbols.length + " symbols");
+//      });
+//
+TRWebSocketController.prototype.requestSymbolList = function(name, options={})
+{
+    let list = new TRSymbolList(this, name, options);
+    list._open();
+    
+    return(list);
+};
+
+// TRWebSocketController.reissue(rics, options={}, domain="MarketPrice", service=null)
+//
+// Change the attributes of open streams.  The request is reissued on the existing stream ID, ie: the stream
+// is not closed and re-opened, avoiding a fresh image when the Refresh option is false.
+//
+// Parameters:
+//      ric(s)       Reuters Instrument Codes, or subscription handles, identifying the open streams. Required.
+//                   Eg: 'TRI.N'                (Single item)
+//                   Eg: ['TRI.N', 'AAPL.O']
+//                   Eg: handle                 (Returned from requestData())
+//      options      Collection of properties defining the new attributes of the streams.  Required.
+//          Options 
+//          {
+//              View: <Array>           // New set of fields to retrieve.  Specify null for all fields.
+//              Priority: <Object>      // New priority of the stream: {Class: <Number>, Count: <Number>}.
+//              Pause: <Boolean>        // Pause (true) or resume (false) the delivery of updates.
+//              Refresh: <Boolean>      // Whether the server responds with a refresh message.  Default: true.
+//          }
+//      domain       Domain model of the items.  Optional.  Default: MarketPrice.  Ignored for subscription handles.
+//      service      Service specified within the request.  Optional.  Default: any service, ie: the streams of the
+//                   items from all services.  Ignored for subscription handles.
+//
+// With the exception of Refresh, the new attributes are retained should the streams be re-requested upon reconnection.
+//
+// For shared streams, a subscription handle only changes the attributes of its own consumer whereas a ric changes 
+// those of all consumers.  The stream is reissued with the merged attributes of its consumers.
 //   
-TRWebSocketController.prototype.closeAllRequests = function() 
+TRWebSocketController.prototype.reissue = function(ric, options={}, domain="MarketPrice", service=null)
 {
-    // Close all open Streams
-    let ids = this._getOpenStreams();
+    let targets = (Array.isArray(ric) ? ric : [ric]);
+    let items = [];
     
-    this._removeID(ids);
+    for (var i=0; i < targets.length; i++) {
+        this._findItems(targets[i], domain, service).forEach(function(item) {
+            // Retain the new attributes of the consumer(s)
+            let consumers = (targets[i] instanceof TRSubscription ? [targets[i]] : item.consumers);
+            for (var j=0; j < consumers.length; j++) {
+                for (var option in options) {
+                    if ( option != "Refresh" )
+                        consumers[j].options[option] = options[option];
+                }
+            }
+            
+            if ( items.indexOf(item) < 0 )
+                items.push(item);
+        });
+    }
     
-    // Close the open streams...
-    let close = {
-        ID: (ids.length == 1 ? ids[0] : ids),
-        Type: "Close"
-    };
-
-    // Submit to server
-    this._send(JSON.stringify(close));
+    for (var k=0; k < items.length; k++) {
+        let changed = this._mergeConsumers(items[k]);
+        
+        // Queued requests are submitted with the latest options once logged in
+        if ( !this._loggedIn || items[k].queued )
+            continue;
+        
+        // Reissue on the existing stream, unless nothing changes on the wire and no refresh is wanted
+        if ( changed || options.Refresh !== false )
+            this._sendItem(items[k], options.Refresh !== false);
+    }
     
     return(this);
 };
 
+// TRWebSocketController.pause(rics, domain="MarketPrice", service=null)
+// TRWebSocketController.resume(rics, domain="MarketPrice", service=null)
 //
-// onStatus
-// Capture all status events related to connections, logins and general message status.  
+// Pause or resume the delivery of updates on open streams, eg: for items displayed within a hidden tab.  Pausing 
+// does not request a refresh.  Resuming requests a refresh to bring the image up to date as updates were missed.
+// The paused state is retained: paused streams are re-requested as paused upon reconnection.
+//
+// Parameters:
+//      ric(s)       Reuters Instrument Codes, or subscription handles, identifying the open streams. Required.
+//      domain       Domain model of the items.  Optional.  Default: MarketPrice.  Ignored for subscription handles.
+//      service      Service specified within the request.  Optional.  Default: any service.
+//   
+TRWebSocketController.prototype.pause = function(ric, domain="MarketPrice", service=null)
+{
+    return( this.reissue(ric, {Pause: true, Refresh: false}, domain, service) );
+};
+
+TRWebSocketController.prototype.resume = function(ric, domain="MarketPrice", service=null)
+{
+    return( this.reissue(ric, {Pause: false}, domain, service) );
+};
+
+// TRWebSocketController.pauseAll()
+// TRWebSocketController.resumeAll()
+//
+// Pause or resume the delivery of updates on all open streaming requests.  Only the streams not already in the
+// requested state are reissued.
+//   
+TRWebSocketController.prototype.pauseAll = function()
+{
+    return( this._setPausedAll(true) );
+};
+
+TRWebSocketController.prototype.resumeAll = function()
+{
+    return( this._setPausedAll(false) );
+};
+
+// TRWebSocketController.post(ric, fields, options={})
+//
+// Contribute (post) the fields of the item to the server, eg: to an internal cache.  By default, the post is sent
+// off-stream, ie: on the login stream, keyed by the item name and service.  Alternatively, the post is sent on the
+// open stream of the item (on-stream).  Returns a Promise that:
+//
+//      Resolves    with the Ack message once the server acknowledges the post or, if no acknowledgement is 
+//                  requested, once the post is sent.
+//      Rejects     with an Error if the server negatively acknowledges (Nak) the post, the post cannot be sent or
+//                  is not acknowledged within the timeout.  Where available, the 'msg' property of the Error 
+//                  contains the Ack message, eg: msg.NakCode.
+//
+// Parameters:
+//      ric          Reuters Instrument Code of the item posted to.  Required.
+//      fields       Fields to post, eg: {BID: 45.55, ASK: 45.57}.  Required.
+//      options      Collection of properties defining the post.  Optional.
+//          Options 
+//          {
+//              Service: <String>       // Name of the service posted to.  Default: service defaulted within ADS.
+//              Domain: <String>        // Domain model of the item.  Default: MarketPrice.
+//              Type: <String>          // Type of the message posted: Update or Refresh.  Default: Update.
+//              onStream: <Boolean>     // Post on the open stream of the item.  Default: false (off-stream).
+//              Ack: <Boolean>          // Request an acknowledgement from the server.  Default: true.
+//              PostUserInfo: <Object>  // Identity of the publisher: {Address: <String>, UserID: <Number>}.
+//                                      // Default: none.
+//              timeout: <Number>       // Time (ms) to wait for the acknowledgement.  Default: 30000.
+//          }
+//
+// Eg:
+//      controller.post("TRI.N", {BID: 45.55, ASK: 45.57}, {Service: "DIRECT_FEED"})
+//          .then(function(ack) { ... })
+//          .catch(function(error) { console.log(error.message); });
+//
+TRWebSocketController.prototype.post = function(ric, fields, options={})
+{
+    let domain = (typeof options.Domain == "string" ? options.Domain : "MarketPrice");
+    let timeout = (typeof options.timeout == "number" ? options.timeout : 30000);
+    
+    return new Promise(function(resolve, reject) {
+        if ( !this._loggedIn ) {
+            reject(new Error("Unable to post " + ric + " - not logged in"));
+            return;
+        }
+        
+        let item = this._findItems(ric, domain, options.Service)[0];
+        
+        if ( options.onStream === true && (!item || item.queued || !this._sentIDs[item.id]) ) {
+            reject(new Error("Unable to post " + ric + " on-stream - the stream is not open"));
+            return;
+        }
+        
+        let postID = ++this._lastPostID;
+        let post = {
+            ID: 0,
+            Type: "Post",
+            Domain: domain,
+            PostID: postID,
+            Message: {
+                ID: 0,
+                Type: (options.Type === "Refresh" ? "Refresh" : "Update"),
+                Domain: domain,
+                Fields: fields
+            }
+        };
+        
+        if ( options.onStream === true ) {
+            // Post on the open stream of the item
+            post.ID = item.id;
+        }
+        else {
+            // Off-stream: the login stream carries the item name and service
+            post.Key = { Name: ric };
+            if ( typeof options.Service == "string" )
+                post.Key.Service = options.Service;
+        }
+        
+        if ( typeof options.PostUserInfo == "object" && options.PostUserInfo !== null )
+            post.PostUserInfo = options.PostUserInfo;
+        
+        if ( options.Ack !== false ) {
+            post.Ack = true;
+            this._pendingPosts[postID] = {
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(function() {
+                    this._settlePost(postID, new Error("Post " + postID + " of " + ric + " not acknowledged within " + timeout + "ms"));
+                }.bind(this), timeout)
+            };
+        }
+        
+        // Submit to server
+        this._send(JSON.stringify(post));
+        
+        if ( options.Ack === false )
+            resolve();
+    }.bind(this));
+};
+
+// TRWebSocketController.closeRequest(rics, domain, service)
+//
+// Close the open stream based on the specified ric, domain and service.  The stream is closed for all of its
+// consumers - to release a single consumer of a shared stream, close its subscription handle instead.
+//
+// Parameters:
+//      ric(s)       Reuters Instrument Codes defining the market data item. Required.
+//                   Eg: 'TRI.N'   (Single item)
+//                   Eg: ['TRI.N', 'AAPL.O']
+//      domain       Domain model for request.  Optional.  Default: MarketPrice.
+//      service      Service specified within the request.  Optional.  Default: any service, ie: the streams of
+//                   the items from all services are closed.
+//   
+TRWebSocketController.prototype.closeRequest = function(ric, domain="MarketPrice", service=null)
+{
+    let keys = [];
+    
+    (Array.isArray(ric) ? ric : [ric]).forEach(function(name) {
+        this._findItems(name, domain, service).forEach(function(item) { keys.push(item.key); });
+    }, this);
+    
+    return( this._closeItems(keys) );
+};
+
+// TRWebSocketController.closeAllRequests
+//
+// Close all outstanding streaming requests.
+//   
+TRWebSocketController.prototype.closeAllRequests = function() 
+{
+    // Close all open Streams
+    let ids = this._getOpenStreams();
+    
+    for (var i=0; i < ids.length; i++)
+        this._removeID(ids[i]);
+    
+    if ( ids.length == 0 )
+        return(this);
+    
+    // Nothing is open on the server until we are logged in.  Queued requests are simply dropped.
+    if ( !this._loggedIn )
+        return(this);
+    
+    // Requests held back by the throttle are dropped, nothing is open on the server
+    ids = this._releaseIDs(ids);
+    if ( ids.length == 0 )
+        return(this);
+    
+    // Close the open streams...
+    let close = {
+        ID: (ids.length == 1 ? ids[0] : ids),
+        Type: "Close"
+    };
+
+    // Submit to server
+    this._send(JSON.stringify(close));
+    
+    return(this);
+};
+
+// TRWebSocketController.disconnect
+//
+// Shut down the controller.  All open streams and the login stream are closed, the WebSocket connection is
+// closed with a normal closure code (1000) and no reconnection is attempted.  All internal state is reset, 
+// allowing the same instance to connect() again.
+//   
+TRWebSocketController.prototype.disconnect = function() 
+{
+    // Suppress any pending reconnection attempt
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    
+    if ( this._loggedIn ) {
+        // Close all item streams followed by our login stream
+        this.closeAllRequests();
+        this._send(JSON.stringify({
+            ID: 0,
+            Domain: "Login",
+            Type: "Close"
+        }));
+    }
+    
+    // Reset our state
+    this._loggedIn = false;
+    this._requestQueue = [];
+    this._resetThrottle();
+    this._resetTables();
+    this._settleLogin(new Error("Disconnected before the login was accepted"));
+    this._settlePosts(new Error("Disconnected before the post was acknowledged"));
+    
+    if ( this.ws ) {
+        this._stopHeartbeat();
+        this._closeSocket(1000, "Client disconnect");
+        
+        // Report to our application interface
+        this._notifyStatus(this.status.disconnected, this._getEndpointInfo());
+    }
+    
+    return(this);
+};
+
+//
+// Events
+// Listeners registered via on()/once() are invoked with the controller as 'this'.  Several listeners can be 
+// registered for the same event.
+//
+//      Event           Listener            Description
+//      -----           --------            -----------
+//      status          f(eventCode, msg)   Every status event - see onStatus() for the event codes.
+//      connection      f(eventCode, msg)   Connection status: connected, disconnected, reconnecting, reconnectFailed,
+//                                          failover and heartbeatTimeout.
+//      login           f(eventCode, msg)   Login response and requestsDiscarded.
+//      itemStatus      f(eventCode, msg)   Status of a requested item (msgStatus, requestTimeout and unknownStream).
+//      error           f(eventCode, msg)   Errors: processingError and msgError.
+//      marketData      f(msg)              Every market data message delivered for requestData() requests.
+//      refresh         f(msg)              Market data refresh messages.
+//      update          f(msg)              Market data update messages.
+//      news            f(ric, msg)         News contents resulting from requestNews() requests.
+//      record          f(record, changed)  Image of the item after applying a refresh or update - see getRecord().
+//                                          'changed' lists the names of the fields whose value changed.
+//      depth           f(depth)            Order book of a MarketByPrice/MarketByOrder item after applying a complete
+//                                          refresh or an update - see getBook().
+//      level           f(change)           Change of a price level of an order book upon an update:
+//                                          {ric, domain, side, price, size, orders, action: Add|Update|Delete}.
+//      serviceUp       f(service)          Service of the Source Directory is back up and accepting requests - see getServices().
+//      serviceDown     f(service)          Service of the Source Directory went down, stopped accepting requests or was removed.
+//
+TRWebSocketController.prototype.events = {
+    status: "status",
+    connection: "connection",
+    login: "login",
+    itemStatus: "itemStatus",
+    error: "error",
+    marketData: "marketData",
+    refresh: "refresh",
+    update: "update",
+    news: "news",
+    record: "record",
+    depth: "depth",
+    level: "level",
+    serviceUp: "serviceUp",
+    serviceDown: "serviceDown"
+};
+
+//
+// on
+// Register the listener for the specified event.  See Events above.
+//
+TRWebSocketController.prototype.on = function(event, f) {
+    if ( this.isCallback(f) ) {
+        if ( !this._listeners.hasOwnProperty(event) )
+            this._listeners[event] = [];
+        
+        this._listeners[event].push(f);
+    }
+    
+    return(this);
+}
+
+//
+// once
+// Register the listener for the next occurrence only of the specified event.
+//
+TRWebSocketController.prototype.once = function(event, f) {
+    if ( this.isCallback(f) ) {
+        let wrapper = function() {
+            this.off(event, wrapper);
+            return(f.apply(this, arguments));
+        };
+        wrapper.listener = f;
+        
+        this.on(event, wrapper);
+    }
+    
+    return(this);
+}
+
+//
+// off
+// Remove the listener from the specified event.  If no listener is specified, all listeners for the event are removed.
+//
+TRWebSocketController.prototype.off = function(event, f) {
+    if ( !this._listeners.hasOwnProperty(event) )
+        return(this);
+    
+    if ( f === undefined )
+        delete this._listeners[event];
+    else {
+        this._listeners[event] = this._listeners[event].filter(function(listener) {
+            return( listener !== f && listener.listener !== f );
+        });
+    }
+    
+    return(this);
+}
+
+//
+// onStatus
+// Capture all status events related to connections, logins and general message status.  
 //
 // Event function: f(eventCode, msg)
 //    Parameters:
@@ -333,15 +1310,36 @@ TRWebSocketController.prototype.closeAllRequests = function()
 //          0 - processingError
 //              msg contains text of error.
 //          1 - connected
-//              msg not defined.
+//              msg contains {server, index, count} - the URL and position of the server within the list of servers.
 //          2 - disconnected
-//              msg not defined.
+//              msg contains {server, index, count} - the server we were connected, or attempting to connect, to.
 //          3 - login response
 //              msg contains Elektron login response - see Elektron WebSocket API for details.
 //          4 - msg status
 //              msg contains Elektron status message - see Elektron WebSocket API for details.
+//          6 - reconnecting
+//              msg contains {attempt, delay, server, index, count} - the reconnection attempt number, the delay (ms) 
+//              before it is made and the server it is made against.
+//          7 - reconnectFailed
+//              msg contains {attempts} - the maximum number of reconnection attempts has been reached.
+//          8 - failover
+//              msg contains {previous, server, index, count} - the controller is moving onto the next server in the list.
+//          9 - requestsDiscarded
+//              msg contains {reason, requests, msg} - requests made prior to login were dropped as the login failed.
+//              'requests' is the array of {rics, options} discarded and 'msg' the Elektron login response, if any.
+//          10 - heartbeatTimeout
+//              msg contains {elapsed, server, index, count} - nothing was received from the server for 'elapsed' ms.  
+//              The connection is recycled.
+//          11 - unknownStream
+//              msg contains the Elektron message received on an ID not associated with any of our requests, 
+//              eg: a message in flight while the stream was being closed.
+//          12 - requestTimeout
+//              msg contains {ric, domain, id, timeout, attempt, retrying} - the item has not answered its request
+//              (no refresh or status) within 'timeout' ms.  If 'retrying', the stream is closed and requested again.
+//
+// Note: equivalent to on("status", eventFn).  Each call registers an additional listener.
 TRWebSocketController.prototype.onStatus = function(f) {
-    if ( this.isCallback(f) ) this._statusCb = f;
+    this.on(this.events.status, f);
 }
 
 //
@@ -356,8 +1354,10 @@ TRWebSocketController.prototype.onStatus = function(f) {
 //      msg - Elektron WebSocket market data message.  Refer to the Elektron WebSocket API documentation for details.
 //      ric - Name of the News content set - See requestNews() method for valid News RICs.
 //
+// Note: equivalent to on("marketData", eventFn).  Each call registers an additional listener.
+//
 TRWebSocketController.prototype.onMarketData = function(f) {
-    if ( this.isCallback(f) ) this._marketDataCb = f;
+    this.on(this.events.marketData, f);
 }
 
 //
@@ -369,8 +1369,10 @@ TRWebSocketController.prototype.onMarketData = function(f) {
 //      ric: RIC identifying the News content set - See requestNews() method for valid News RICs.
 //      msg: Contents of the News envelope for the associated content set (RIC).
 //
+// Note: equivalent to on("news", eventFn).  Each call registers an additional listener.
+//
 TRWebSocketController.prototype.onNews = function(f) {
-    if ( this.isCallback(f) ) this._newsStoryCb = f;
+    this.on(this.events.news, f);
 }
 
 //
@@ -381,6 +1383,267 @@ TRWebSocketController.prototype.loggedIn = function() {
     return(this._loggedIn);
 }
 
+//
+// getRecord(ric, domain="MarketPrice", service=null)
+// Returns the image of the open stream: the fields of the refresh with all subsequent updates applied.  The
+// record is maintained while the stream is open - see the 'recordCache' option.
+//
+//      Record
+//      {
+//          ric: <String>           // Name of the item
+//          domain: <String>        // Domain model of the item
+//          fields: <Object>        // Field name -> value.  A copy, changes are not applied to the cache.
+//          complete: <Boolean>     // False while a multi-part refresh is in progress
+//      }
+//
+// Returns undefined if the stream is not open or no image has been received.  Unless a service is specified, the
+// stream of the item from any service is retrieved.
+//
+TRWebSocketController.prototype.getRecord = function(ric, domain="MarketPrice", service=null) {
+    let item = this._findItems(ric, domain, service)[0];
+    let record = (item ? this._getRecord(item.key) : undefined);
+    
+    if ( !record )
+        return;
+    
+    return({
+        ric: item.ric,
+        domain: item.domain,
+        fields: Object.assign({}, record.fields),
+        complete: record.complete
+    });
+}
+
+//
+// getBook(ric, domain="MarketByPrice", service=null)
+// Returns the order book of the open MarketByPrice or MarketByOrder stream, maintained from the Map entries of its
+// refresh and updates - see the 'orderBooks' option.  Orders (MarketByOrder) are aggregated by price.
+//
+//      Depth
+//      {
+//          ric: <String>           // Name of the item
+//          domain: <String>        // Domain model of the item
+//          bids: <Array>           // Price levels {price, size, orders}, best (highest) price first
+//          asks: <Array>           // Price levels {price, size, orders}, best (lowest) price first
+//          summary: <Object>       // Summary fields of the book, eg: CURRENCY
+//          complete: <Boolean>     // False while a multi-part refresh is in progress
+//      }
+//
+// Returns undefined if the stream is not open or no book has been received.  Unless a service is specified, the
+// stream of the item from any service is retrieved.
+//
+TRWebSocketController.prototype.getBook = function(ric, domain="MarketByPrice", service=null) {
+    let item = this._findItems(ric, domain, service)[0];
+    let book = (item ? this._getBook(item.key) : undefined);
+    
+    if ( !book )
+        return;
+    
+    return( book.depth(item.ric, item.domain) );
+}
+
+//
+// requestDictionary(options={})
+// Download the field (RWFFld) and enumerated type (RWFEnum) dictionaries from the server via the Dictionary 
+// domain.  Returns a Promise that:
+//
+//      Resolves    with the controller's dictionary (TRDictionary) once both dictionaries have been received.
+//      Rejects     with an Error if a dictionary cannot be retrieved or is not received within the timeout.
+//                  Where available, the 'msg' property of the Error contains the Elektron status message.
+//
+// Once loaded, enumerated fields within delivered messages are presented as their display strings - see the
+// 'decodeEnums' option.
+//
+// Parameters:
+//      options   Optional.
+//          Options 
+//          {
+//              Service: <String>       // Name of service providing the dictionaries.
+//                                      // Default: service defaulted within ADS.
+//              timeout: <Number>       // Time (ms) to wait for both dictionaries.  Default: 60000.
+//          }
+//
+TRWebSocketController.prototype.requestDictionary = function(options={}) {
+    let timeout = (typeof options.timeout == "number" ? options.timeout : 60000);
+    let request = {
+        Domain: Domains.Dictionary,
+        Streaming: false,
+        Filter: 7,                  // Normal verbosity: all field attributes except descriptions
+        cb: function() {}           // Processed by the handles below
+    };
+    
+    if ( typeof options.Service == "string" )
+        request.Service = options.Service;
+    
+    return new Promise(function(resolve, reject) {
+        let dictionary = this.dictionary;
+        let pending = ["RWFFld", "RWFEnum"];
+        let handles = this.requestData(pending.slice(), request);
+        
+        let settle = function(error) {
+            clearTimeout(timer);
+            handles.forEach(function(handle) { handle.close(); });
+            
+            if ( error )
+                reject(error);
+            else
+                resolve(dictionary);
+        };
+        
+        let timer = setTimeout(function() {
+            settle(new Error("Dictionary not received within " + timeout + "ms"));
+        }, timeout);
+        
+        handles.forEach(function(handle) {
+            handle.onRefresh(function(msg) {
+                dictionary._addSeries(this.ric, msg.Series, msg.Complete !== false);
+                
+                if ( msg.Complete === false )
+                    return;
+                
+                pending.splice(pending.indexOf(this.ric), 1);
+                if ( pending.length == 0 ) settle();
+            });
+            handle.onStatus(function(msg) {
+                if ( msg.State && msg.State.Stream === "Open" )
+                    return;
+                
+                let error = new Error("Dictionary " + this.ric + " not available");
+                error.msg = msg;
+                settle(error);
+            });
+        });
+    }.bind(this));
+}
+
+//
+// loadDictionary(fieldText, enumText)
+// Load the dictionaries from the contents of local RDMFieldDictionary and enumtype.def files instead of 
+// downloading them - see requestDictionary().  Returns the controller's dictionary (TRDictionary).
+//
+// Eg: (Node.js)
+//      controller.loadDictionary(fs.readFileSync("RDMFieldDictionary", "utf8"), fs.readFileSync("enumtype.def", "utf8"));
+//
+TRWebSocketController.prototype.loadDictionary = function(fieldText, enumText) {
+    if ( typeof fieldText == "string" )
+        this.dictionary.loadFields(fieldText);
+    
+    if ( typeof enumText == "string" )
+        this.dictionary.loadEnums(enumText);
+    
+    return(this.dictionary);
+}
+
+//
+// getField(field)
+// Returns the definition of the field, by name (acronym) or FID - see TRDictionary.getField().
+//
+TRWebSocketController.prototype.getField = function(field) {
+    return( this.dictionary.getField(field) );
+}
+
+//
+// requestDirectory(options={})
+// Request the Source Directory, ie: the services offered by the server along with their state, QoS and 
+// capabilities.  The directory stream remains open, keeping the services current - see getServices().  
+// Returns a Promise that:
+//
+//      Resolves    with the services - see getServices() - once the directory has been received.
+//      Rejects     with an Error if the directory cannot be retrieved or is not received within the timeout.
+//                  Where available, the 'msg' property of the Error contains the Elektron status message.
+//
+// The 'serviceDown' and 'serviceUp' events report a change in the state of a service.
+//
+// Parameters:
+//      options   Optional.
+//          Options 
+//          {
+//              Service: <String>       // Name of the service to retrieve.  Default: all services.
+//              timeout: <Number>       // Time (ms) to wait for the directory.  Default: 30000.
+//          }
+//
+TRWebSocketController.prototype.requestDirectory = function(options={}) {
+    let timeout = (typeof options.timeout == "number" ? options.timeout : 30000);
+    let request = {
+        Domain: Domains.Source,
+        Filter: 3,                  // Info (QoS, capabilities) and State filters
+        cb: function() {}           // The directory is applied by the controller - see _applyDirectory()
+    };
+    
+    if ( typeof options.Service == "string" )
+        request.Service = options.Service;
+    
+    return new Promise(function(resolve, reject) {
+        let controller = this;
+        
+        // The directory stream has no name - the service, if any, selects the entries of the directory
+        let handle = this.requestData(null, request);
+        
+        let settle = function(error) {
+            clearTimeout(timer);
+            
+            if ( error ) {
+                handle.close();
+                reject(error);
+            }
+            else
+                resolve(controller.getServices());
+        };
+        
+        let timer = setTimeout(function() {
+            settle(new Error("Source Directory not received within " + timeout + "ms"));
+        }, timeout);
+        
+        handle.onRefresh(function(msg) {
+            if ( msg.Complete !== false ) settle();
+        });
+        handle.onStatus(function(msg) {
+            if ( msg.State && msg.State.Stream === "Open" )
+                return;
+            
+            let error = new Error("Source Directory not available");
+            error.msg = msg;
+            settle(error);
+        });
+    }.bind(this));
+}
+
+//
+// getServices()
+// Returns the services of the Source Directory - see requestDirectory().
+//
+//      Service
+//      {
+//          id: <Number>                // ID of the service
+//          name: <String>              // Name of the service, eg: ELEKTRON_DD
+//          vendor: <String>            // Vendor of the service
+//          up: <Boolean>               // The service is up and accepting requests
+//          state: <String>             // State of the service: Up or Down
+//          acceptingRequests: <Boolean>
+//          status: <Object>            // Status of the service, eg: {Stream, Data, Code, Text}, if reported
+//          domains: <Array>            // Domain models supported, eg: ["MarketPrice", "MarketByPrice"]
+//          capabilities: <Array>       // Domain types supported, as numbered within the directory, eg: [6, 8]
+//          qos: <Array>                // Qualities of service, eg: [{Timeliness: "Realtime", Rate: "TickByTick"}]
+//          dictionaries: <Array>       // Dictionaries used by the service, eg: ["RWFFld", "RWFEnum"]
+//      }
+//
+TRWebSocketController.prototype.getServices = function() {
+    return( this._getServiceEntries().map(this._describeService, this) );
+}
+
+//
+// getService(service)
+// Returns the service, by name or ID, of the Source Directory - see getServices().  Returns undefined if unknown.
+//
+TRWebSocketController.prototype.getService = function(service) {
+    let entry = this._getServiceEntries().find(function(entry) {
+        return( entry.id === service || this._describeService(entry).name === service );
+    }, this);
+    
+    if ( entry )
+        return( this._describeService(entry) );
+}
+
 
 
 
@@ -392,8 +1655,10 @@ TRWebSocketController.prototype.loggedIn = function() {
 // we issue a request to login to the server.
 //*********************************************************************************************************   
 TRWebSocketController.prototype._onOpen = function() {
+    this._startHeartbeat();
+    
     // Report to our application interface
-    if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.connected);
+    this._notifyStatus(this.status.connected, this._getEndpointInfo());
 
     // Login to our WebSocket server
     this._login();
@@ -402,13 +1667,44 @@ TRWebSocketController.prototype._onOpen = function() {
 //*********************************************************************************************************  
 // _onClose (WebSocket interface)
 // In the event we could not initially connect or if our endpoint disconnected our connection, the event
-// is captured here.  We simply report and make note.
+// is captured here.  We report and, if enabled, schedule an attempt to re-establish our connection.
 //*********************************************************************************************************
 TRWebSocketController.prototype._onClose = function (closeEvent) {
+    // The socket is gone, ie: nothing left to close or report should we disconnect() while reconnecting
+    this.ws = null;
+    this._connectionLost();
+    
+    // An outstanding connectAsync() tries each server within our list once, without delay, before it fails
+    if ( this._pendingLogin ) {
+        if ( ++this._pendingLogin.attempts < this._endpoints.length ) {
+            this._failover();
+            this._open();
+        }
+        else
+            this._failLogin(new Error("Connection closed before the login was accepted"));
+    }
+    else
+        this._scheduleReconnect();
+    
+    // Posts awaiting their acknowledgement are lost along with the connection
+    this._settlePosts(new Error("Connection closed before the post was acknowledged"));
+};
+
+//*********************************************************************************************************  
+// _connectionLost
+// Reset the state tied to our connection once it is gone, whether lost or replaced via connect().
+//*********************************************************************************************************
+TRWebSocketController.prototype._connectionLost = function () {
     this._loggedIn = false; 
+    this._stopHeartbeat();
+    
+    // Requests held back by the throttle are re-requested along with all open items once logged in again
+    this._resetThrottle();
+    this._ackBatches();
+    this._getOpenItems().forEach(this._stopRequestTimer, this);
     
     // Report to our application interface
-    if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.disconnected);
+    this._notifyStatus(this.status.disconnected, this._getEndpointInfo());
 };
 
 //*********************************************************************************************************      
@@ -420,10 +1716,15 @@ TRWebSocketController.prototype._onClose = function (closeEvent) {
 //
 //  Login response: Resulting from our request to login.
 //  Ping request:   The WebSocket Server will periodically send a 'ping' - we respond with a 'pong'
+//  Pong response:  Response to our own 'ping' - see the 'heartbeat' option
+//  Ack response:   Acknowledgement (Ack or Nak) of our post - see post()
 //  Data message:   Refresh and update market data messages resulting from our item request
 //*********************************************************************************************************  
 TRWebSocketController.prototype._onMessage = function (msg) 
 {
+    // Any traffic from the server proves our connection is alive
+    this._lastActivity = Date.now();
+    
     // Ensure we have a valid message
     if (typeof (msg.data) === 'string' && msg.data.length > 0)
     {
@@ -440,63 +1741,558 @@ TRWebSocketController.prototype._onMessage = function (msg)
                 if ( data.Type === "Ping" ) {
                     // Yes, so send a Pong to keep the channel alive
                     this._pong();
+                } else if ( data.Type === "Pong" ) {
+                    // Response to our own Ping - nothing further to do
+                } else if ( data.Type === "Ack" ) {
+                    // Acknowledgement of our post, on the login stream (off-stream) or an item stream (on-stream)
+                    if ( data.NakCode ) {
+                        let error = new Error("Post " + data.AckID + " rejected: " + data.NakCode + (data.Text ? " - " + data.Text : ""));
+                        error.msg = data;
+                        this._settlePost(data.AckID, error);
+                    }
+                    else
+                        this._settlePost(data.AckID, null, data);
                 } else if ( data.Domain === "Login" ) { // Did we get our login response?
                     // Yes, process it. Report to our application interface
+                    let wasLoggedIn = this._loggedIn;
                     this._loggedIn = data.State.Data === "Ok";
-                    if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.loginResponse, data);
+                    this._notifyStatus(this.status.loginResponse, data);
+                    
+                    // Upon a successful login, restore any streams that were open prior to losing our connection
+                    if ( this._loggedIn && !wasLoggedIn ) {
+                        this._reconnectAttempt = 0;
+                        this._resubscribe();
+                        this._flushRequests();
+                    }
+                    
+                    // Complete any outstanding connectAsync() request
+                    if ( this._loggedIn )
+                        this._settleLogin(null, data);
+                    else if ( data.State.Stream === "Closed" ) {
+                        let error = new Error("Login denied: " + data.State.Text);
+                        error.msg = data;
+                        this._discardRequests("Login denied", data);
+                        this._failLogin(error);
+                    }
                 } else if ( data.Type === "Status" ) {
+                    this._bindResponse(data);
+                    
+                    let item = this._getItem(data.ID);
+                    let batch = this._isBatch(data.ID);
+                    let consumers = (item ? item.consumers.slice() : []);
+                    this._responded(data.ID);
+                    
                     // Issue on our message stream.  Make our ID available is stream is closed.
-                    if ( data.State.Stream == "Closed") this._removeID(data.ID);
+                    if ( data.State.Stream == "Closed") {
+                        this._removeID(data.ID);
+                        this._releaseIDs([data.ID]);
+                    }
+                    
+                    // The batch request is closed once processed
+                    if ( batch ) this._ackBatch(data.ID);
                     
                     // Report potential issues with our requested market data item
-                    if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.msgStatus, data);                        
+                    if ( item || batch )
+                        this._notifyStatus(this.status.msgStatus, data);
+                    else
+                        this._notifyStatus(this.status.unknownStream, data);
+                    consumers.forEach(function(handle) { handle._dispatch(data); });
                 } else if ( data.Type === "Error" ) {
                     // Report the invalid usage error
-                    if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.msgError, data);
+                    if ( typeof data.ID == "number" ) this._responded(data.ID);
+                    this._notifyStatus(this.status.msgError, data);
                 } else {
                     // Otherwise, we must have received some kind of market data message.       
-                    // First, retrieve the processing callback.  
-                    // Note: the processing callback is defined when a user requests for data 
-                    //       via requestData() or requestNews()
-                    this._msgCb = this._getCallback(data.ID);
+                    // Present it to the consumers of the stream.
+                    if ( data.Type === "Refresh" ) {
+                        this._bindResponse(data);
+                        this._responded(data.ID);
+                    }
                     
-                    // Next, update our ID table based on the refresh
-                    if ( data.Type === "Refresh" && data.State.Stream === "NonStreaming" ) this._removeID(data.ID);
+                    // Present enumerated fields as their display strings
+                    if ( this._decodeEnums ) this.dictionary.decode(data);
                     
-                    // Process the message
-                    if ( this.isCallback(this._msgCb) ) this._msgCb(data);
+                    let item = this._getItem(data.ID);
+                    if ( item ) 
+                        this._deliver(item, data);
+                    else
+                        this._notifyStatus(this.status.unknownStream, data);
                }
             }
         }
         catch (e) {
             // Processing error.  Report to our application interface
             console.log(e);
-            if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.processingError, e.message);
+            this._notifyStatus(this.status.processingError, e.message);
         }       
     }
 }
 
 //********************************************************************************************************* 
-// _processNewsEnvelope
-// We received an MRN news message which is an envelop around the specific details of the news contents.
-// Preprocess this envelop prior to sending off to the news application callback.
-//
-// Note: this routine is only executed if application requested for news using the convenient method
-//       call: requestNews().
+// _bindResponse
+// Bind the item of a batch request to the ID it answered on - see _bindBatchItem().  Should the item have 
+// moved onto a free ID, the throttle tracks the item under its new ID.
 //********************************************************************************************************* 
-TRWebSocketController.prototype._processNewsEnvelope = function(msg)
+TRWebSocketController.prototype._bindResponse = function(msg)
 {
-    try {
-        // We ignore the MRN Refresh envelope and ensure we're dealing with a 'NewsTextAnalytics' domain.    
-        if ( msg.Type === "Update" && msg.Domain === MRN_DOMAIN ) {
-            //********************************************************************************
-            // Before we start processing our fragment, we must ensure we have all of them.
-            // The GUID field is used to identify our envelope containing each fragment. We
-            // know we have all fragments when the total size of the fragment == TOT_SIZE.
-            //********************************************************************************
-      
+    if ( !msg.Key || typeof msg.Key.Name != "string" )
+        return;
+    
+    let expected = this._bindBatchItem(msg.ID, msg.Key.Name, (typeof msg.Domain == "string" ? msg.Domain : "MarketPrice"), msg.Key.Service);
+    
+    // Nothing moved, or the items swapped IDs
+    if ( expected === undefined || expected == msg.ID || this._getItem(expected) )
+        return;
+    
+    if ( this._sentIDs[expected] ) {
+        delete this._sentIDs[expected];
+        this._sentIDs[msg.ID] = true;
+    }
+    
+    if ( this._outstanding[expected] ) {
+        delete this._outstanding[expected];
+        this._outstanding[msg.ID] = true;
+    }
+}
+
+//********************************************************************************************************* 
+// _deliver
+// Present the market data message to the consumers of the stream.  Each distinct processing callback is 
+// invoked once, eg: the 'marketData' event is raised once per message regardless of the number of consumers.
+//
+// Note: the processing callback is defined when a user requests for data via requestData() or requestNews()
+//********************************************************************************************************* 
+TRWebSocketController.prototype._deliver = function(item, msg)
+{
+    let consumers = item.consumers.slice();
+    let cbs = [];
+    
+    consumers.forEach(function(handle) {
+        if ( cbs.indexOf(handle._cb) < 0 ) cbs.push(handle._cb);
+    });
+    
+    // Maintain the image of the stream
+    if ( this._recordCache ) this._applyRecord(item, msg);
+    if ( this._orderBooks ) this._applyBook(item, msg);
+    if ( item.domain === Domains.Source ) this._applyDirectory(msg);
+    
+    // Once the image is complete, the snapshot (non-streaming) consumers are done
+    if ( msg.Type === "Refresh" && msg.Complete !== false ) this._releaseSnapshots(item, msg);
+    
+    // Process the message
+    for (var i=0; i < cbs.length; i++) {
+        this._msgCb = cbs[i];
+        if ( this.isCallback(this._msgCb) ) this._msgCb(msg);
+    }
+    
+    consumers.forEach(function(handle) { handle._dispatch(msg); });
+}
+
+//********************************************************************************************************* 
+// _applyRecord
+// Apply the fields of the refresh or update to the image of the stream - see getRecord().  A refresh starts 
+// a new image, the parts of a multi-part refresh accumulate until complete.  Listeners of the 'record' event
+// are presented with the resulting image and the names of the fields whose value changed.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._applyRecord = function(item, msg)
+{
+    if ( typeof msg.Fields != "object" || msg.Fields === null || (msg.Type !== "Refresh" && msg.Type !== "Update") )
+        return;
+    
+    let record = this._getRecord(item.key, true);
+    let previous = record.fields;
+    let changed = [];
+    
+    if ( msg.Type === "Refresh" ) {
+        // A new image, unless this is the next part of a multi-part refresh
+        if ( record.complete || Object.keys(previous).length == 0 )
+            record.fields = {};
+        record.complete = (msg.Complete !== false);
+    }
+    
+    for (var field in msg.Fields) {
+        if ( previous[field] !== msg.Fields[field] )
+            changed.push(field);
+        record.fields[field] = msg.Fields[field];
+    }
+    
+    if ( this._listeners.hasOwnProperty(this.events.record) && this._listeners[this.events.record].length > 0 )
+        this._emit(this.events.record, this.getRecord(item.consumers[0]), changed);
+}
+
+//********************************************************************************************************* 
+// _applyBook
+// Apply the Map entries of the MarketByPrice/MarketByOrder refresh or update to the order book of the stream - 
+// see getBook().  Listeners of the 'level' event are presented with each price level changed by an update and
+// listeners of the 'depth' event with the resulting book, once complete.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._applyBook = function(item, msg)
+{
+    if ( (item.domain !== Domains.MarketByPrice && item.domain !== Domains.MarketByOrder) || typeof msg.Map != "object" || 
+         msg.Map === null || (msg.Type !== "Refresh" && msg.Type !== "Update") )
+        return;
+    
+    let book = this._getBook(item.key, true);
+    let changes = book.apply(msg);
+    
+    if ( msg.Type === "Update" ) {
+        for (var i=0; i < changes.length; i++)
+            this._emit(this.events.level, Object.assign({ric: item.ric, domain: item.domain}, changes[i]));
+    }
+    
+    if ( book.complete && this._listeners.hasOwnProperty(this.events.depth) && this._listeners[this.events.depth].length > 0 )
+        this._emit(this.events.depth, book.depth(item.ric, item.domain));
+}
+
+//********************************************************************************************************* 
+// _applyDirectory
+// Apply the Map entries of the Source Directory refresh or update to our services - see getServices().  Each
+// entry, keyed by service ID, carries a FilterList: Info (1) and State (2) filters.  A service going down, or 
+// removed while up, is reported via the 'serviceDown' event and a service coming back via 'serviceUp'.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._applyDirectory = function(msg)
+{
+    if ( typeof msg.Map != "object" || msg.Map === null || !Array.isArray(msg.Map.Entries) )
+        return;
+    
+    msg.Map.Entries.forEach(function(entry) {
+        let service = this._getService(entry.Key);
+        let previous = (service ? this._describeService(service) : null);
+        
+        if ( entry.Action === "Delete" ) {
+            this._removeService(entry.Key);
+            if ( previous && previous.up )
+                this._emit(this.events.serviceDown, Object.assign(previous, {up: false, state: "Down"}));
+            return;
+        }
+        
+        service = this._getService(entry.Key, true);
+        if ( entry.Action === "Add" )
+            service.filters = {};
+        
+        let filters = (entry.FilterList && Array.isArray(entry.FilterList.Entries) ? entry.FilterList.Entries : []);
+        filters.forEach(function(filter) {
+            if ( filter.Action === "Clear" )
+                delete service.filters[filter.ID];
+            else
+                service.filters[filter.ID] = Object.assign({}, (filter.Action === "Update" ? service.filters[filter.ID] : {}), filter.Elements);
+        });
+        
+        // Report the change of state of a known service
+        let current = this._describeService(service);
+        if ( previous && previous.state !== undefined && current.up !== previous.up )
+            this._emit(current.up ? this.events.serviceUp : this.events.serviceDown, current);
+    }, this);
+}
+
+//********************************************************************************************************* 
+// _describeService
+// Present the filters of the Source Directory entry as a service - see getServices().  Arrays within the
+// filters are encoded as {Type, Data}.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._describeService = function(entry)
+{
+    let info = entry.filters[1] || {};
+    let state = entry.filters[2] || {};
+    let array = function(value) {
+        return( Array.isArray(value) ? value : (value && Array.isArray(value.Data) ? value.Data : []) );
+    };
+    let capabilities = array(info.Capabilities);
+    
+    return({
+        id: entry.id,
+        name: info.Name,
+        vendor: info.Vendor,
+        up: state.ServiceState === 1 && state.AcceptingRequests !== 0,
+        state: (state.ServiceState === undefined ? undefined : (state.ServiceState === 1 ? "Up" : "Down")),
+        acceptingRequests: (state.AcceptingRequests === undefined ? undefined : state.AcceptingRequests !== 0),
+        status: (state.Status ? Object.assign({}, state.Status) : undefined),
+        domains: capabilities.map(function(type) { return(DomainTypes[type] || type); }),
+        capabilities: capabilities.slice(),
+        qos: array(info.QoS).map(function(qos) { return(Object.assign({}, qos)); }),
+        dictionaries: array(info.DictionariesUsed).slice()
+    });
+}
+
+//********************************************************************************************************* 
+// _itemKey
+// Key identifying an item within our tables: ric:domain, suffixed with :service when a service is specified.
+// Name-less streams (ric: null), eg: the Source Directory, are keyed as :domain.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._itemKey = function(ric, domain, service)
+{
+    return( (ric === null ? "" : ric) + ":" + domain + (typeof service == "string" ? ":" + service : "") );
+}
+
+//********************************************************************************************************* 
+// _addConsumer
+// Register a new consumer (subscription handle) of the open stream.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._addConsumer = function(item, cb, options)
+{
+    let handle = new TRSubscription(this, item, cb, options);
+    
+    item.consumers.push(handle);
+    this._mergeConsumers(item);
+    
+    return(handle);
+}
+
+//********************************************************************************************************* 
+// _joinItem
+// A request for an item that is already open - the new consumer shares the existing stream.  As the new 
+// consumer requires an image, the stream is reissued with the merged options of all its consumers.  
+//
+// Note: a pending snapshot cannot be reissued.  Its refresh is presented to the new consumer and, if the new
+//       consumer is streaming, the item is then re-requested as streaming - see _releaseSnapshots().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._joinItem = function(item, cb, options)
+{
+    let handle = this._addConsumer(item, cb, options);
+    
+    if ( this._loggedIn && !item.queued && item.streaming )
+        this._sendItem(item);
+    
+    return(handle);
+}
+
+//********************************************************************************************************* 
+// _releaseSnapshots
+// The image of the item is complete - release the snapshot (non-streaming) consumers.  If no consumer remains, 
+// the stream is done with.  If streaming consumers remain on a snapshot stream, now closed by the server, the 
+// item is re-requested as streaming on the same ID.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._releaseSnapshots = function(item, msg)
+{
+    let remaining = item.consumers.filter(function(handle) { return(handle.options.Streaming !== false); });
+    let closed = (msg.State && msg.State.Stream === "NonStreaming");
+    
+    if ( remaining.length == item.consumers.length && !closed )
+        return;
+    
+    if ( remaining.length == 0 ) {
+        // The server has already closed a snapshot stream
+        if ( closed ) {
+            this._removeID(item.id);
+            this._releaseIDs([item.id]);
+        }
+        else
+            this._closeItems([item.key]);
+        return;
+    }
+    
+    item.consumers.forEach(function(handle) {
+        if ( remaining.indexOf(handle) < 0 ) handle._setClosed();
+    });
+    item.consumers = remaining;
+    this._mergeConsumers(item);
+    
+    if ( closed && this._loggedIn )
+        this._sendItem(item);
+}
+
+//********************************************************************************************************* 
+// _mergeConsumers
+// Determine the options of the stream on the wire from the options of its consumers:
+//
+//      View        Union of the consumer Views.  All fields if any consumer requires all fields.
+//      Streaming   Streaming if any consumer is streaming.
+//      Priority    Highest priority class with the accumulated priority count.
+//      Pause       Paused only if every streaming consumer is paused.
+//
+// Returns true if the options of the stream have changed.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._mergeConsumers = function(item)
+{
+    let consumers = item.consumers.map(function(handle) { return(handle.options); });
+    let streaming = consumers.filter(function(options) { return(options.Streaming !== false); });
+    let merged = {};
+    
+    if ( consumers.length == 0 )
+        return(false);
+    
+    if ( typeof consumers[0].Service == "string" )
+        merged.Service = consumers[0].Service;
+    
+    if ( typeof consumers[0].Filter == "number" )
+        merged.Filter = consumers[0].Filter;
+    
+    if ( streaming.length == 0 )
+        merged.Streaming = false;
+    
+    if ( consumers.every(function(options) { return(Array.isArray(options.View)); }) ) {
+        merged.View = [];
+        consumers.forEach(function(options) {
+            options.View.forEach(function(field) {
+                if ( merged.View.indexOf(field) < 0 ) merged.View.push(field);
+            });
+        });
+    }
+    
+    let priorities = consumers.filter(function(options) { return(typeof options.Priority == "object" && options.Priority !== null); });
+    if ( priorities.length > 0 ) {
+        merged.Priority = {Class: 0, Count: 0};
+        priorities.forEach(function(options) {
+            merged.Priority.Class = Math.max(merged.Priority.Class, options.Priority.Class || 1);
+            merged.Priority.Count += (options.Priority.Count || 1);
+        });
+    }
+    
+    if ( streaming.length > 0 && streaming.every(function(options) { return(options.Pause === true); }) )
+        merged.Pause = true;
+    
+    let changed = JSON.stringify(merged) != JSON.stringify(item.options);
+    item.options = merged;
+    
+    return(changed);
+}
+
+//********************************************************************************************************* 
+// _sendItem
+// Submit the request for the open stream using its merged options.  Sent on an existing stream, the request
+// is a reissue - a refresh is requested unless specified otherwise.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._sendItem = function(item, refresh=true)
+{
+    let request = (refresh ? item.options : Object.assign({Refresh: false}, item.options));
+    
+    item.streaming = (item.options.Streaming !== false);
+    this._sendRequest(item.id, item.ric, item.domain, request);
+}
+
+//********************************************************************************************************* 
+// _closeItems
+// Close the open streams identified by their item keys - see closeRequest().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._closeItems = function(keys)
+{
+    // Build id array
+    let ids = keys.map(function(key) { return(this._removeItem(key)); }, this);
+    
+    // Nothing is open on the server until we are logged in.  Queued requests are simply dropped.
+    if ( !this._loggedIn )
+        return(this);
+    
+    // Requests held back by the throttle are dropped, nothing is open on the server
+    ids = this._releaseIDs(ids);
+    if ( ids.length == 0 )
+        return(this);
+    
+    // Close the open streams...
+    let close = {
+        ID: (ids.length == 1 ? ids[0] : ids),
+        Type: "Close"
+    };
+
+    // Submit to server
+    this._send(JSON.stringify(close));
+    
+    return(this);
+};
+
+//********************************************************************************************************* 
+// _closeSubscription
+// Release the consumer represented by the subscription handle.  The stream itself is closed once its last
+// consumer is released.  Otherwise, the stream is reissued if the merged options (eg: View) have changed.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._closeSubscription = function(handle)
+{
+    let item = this._findItems(handle)[0];
+    
+    if ( !item )
+        return;
+    
+    if ( item.consumers.length == 1 ) {
+        this._closeItems([item.key]);
+        return;
+    }
+    
+    item.consumers.splice(item.consumers.indexOf(handle), 1);
+    handle._setClosed();
+    
+    // A snapshot stream cannot be reissued
+    if ( this._mergeConsumers(item) && this._loggedIn && !item.queued && item.streaming && item.options.Streaming !== false )
+        this._sendItem(item, false);
+}
+
+//********************************************************************************************************* 
+// _setPausedAll
+// Pause or resume all open streaming requests not already in the requested state.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._setPausedAll = function(paused)
+{
+    let handles = [];
+    
+    this._getOpenItems().forEach(function(item) {
+        item.consumers.forEach(function(handle) {
+            if ( handle.options.Streaming !== false && handle.isPaused() != paused )
+                handles.push(handle);
+        });
+    });
+    
+    if ( handles.length > 0 )
+        (paused ? this.pause(handles) : this.resume(handles));
+    
+    return(this);
+}
+
+//********************************************************************************************************* 
+// _findItems
+// Retrieve the details of the open streams identified by either a subscription handle or a ric and domain.  
+// A handle only identifies the stream while it remains one of its consumers.  Unless a service is specified,
+// a ric identifies its streams from all services, ie: requested with or without a service.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._findItems = function(target, domain, service=null)
+{
+    if ( target instanceof TRSubscription ) {
+        let item = this._getItemByKey(target.key);
+        return( item && item.consumers.indexOf(target) >= 0 ? [item] : [] );
+    }
+    
+    if ( typeof service == "string" ) {
+        let item = this._getItemByKey(this._itemKey(target, domain, service));
+        return( item ? [item] : [] );
+    }
+    
+    return( this._getOpenItems().filter(function(item) { return( item.ric === target && item.domain === domain ); }) );
+}
+
+//********************************************************************************************************* 
+// _processMarketData
+// Default processing of the market data messages resulting from requestData().  The message is presented to
+// the 'marketData' listeners and to the 'refresh' or 'update' listeners based on its type.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._processMarketData = function(msg)
+{
+    this._emit(this.events.marketData, msg);
+    
+    if ( msg.Type === "Refresh" )
+        this._emit(this.events.refresh, msg);
+    else if ( msg.Type === "Update" )
+        this._emit(this.events.update, msg);
+}
+
+//********************************************************************************************************* 
+// _processNewsEnvelope
+// We received an MRN news message which is an envelop around the specific details of the news contents.
+// Preprocess this envelop prior to sending off to the news application callback.
+//
+// Note: this routine is only executed if application requested for news using the convenient method
+//       call: requestNews().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._processNewsEnvelope = function(msg)
+{
+    try {
+        // We ignore the MRN Refresh envelope and ensure we're dealing with a 'NewsTextAnalytics' domain.    
+        if ( msg.Type === "Update" && msg.Domain === MRN_DOMAIN ) {
+            //********************************************************************************
+            // Before we start processing our fragment, we must ensure we have all of them.
+            // The GUID field is used to identify our envelope containing each fragment. We
+            // know we have all fragments when the total size of the fragment == TOT_SIZE.
+            //********************************************************************************
+      
             // Decode base64 (convert ascii to binary)  
-            let fragment = atob(msg.Fields.FRAGMENT);
+            let fragment = this._decodeBase64(msg.Fields.FRAGMENT);
             
             // Define the news item key - RIC:MRN_SRC:GUID.
             // Used to reference our unique items for envelop management.
@@ -535,23 +2331,55 @@ TRWebSocketController.prototype._processNewsEnvelope = function(msg)
             let binArr = new Uint8Array(charArr);
 
             // Decompress fragments of data and convert to Ascii
-            let strData = zlib.pako.inflate(binArr, {to: 'string'});
+            let strData = this._inflate(binArr);
 
             // Prepare as JSON object
             let contents = JSON.parse(strData);
             
             // Present our final story to the application
-            if ( this.isCallback(this._newsStoryCb) ) this._newsStoryCb(msg.Key.Name, contents);
+            this._emit(this.events.news, msg.Key.Name, contents);
         }
     }
     catch (e) {
         // Processing error.  Report to our application interface
         console.log(e);
         console.log(msg);
-        if ( this.isCallback(this._statusCb) ) this._statusCb(this.status.processingError, e.message);
+        this._notifyStatus(this.status.processingError, e.message);
     }   
 }
 
+//********************************************************************************************************* 
+// _decodeBase64
+// Decode the base64 text into a binary string.  The browser provides atob() whereas Node.js offers Buffer.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._decodeBase64 = function(text)
+{
+    if ( typeof atob == "function" )
+        return(atob(text));
+    
+    return(Buffer.from(text, "base64").toString("binary"));
+}
+
+//********************************************************************************************************* 
+// _inflate
+// Decompress the byte-array into a string.  We rely on the pako library, either imported as a module dependency
+// or provided within the browser by the 'zlib.js' script.  Otherwise, Node.js offers its own built-in zlib module.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._inflate = function(binArr)
+{
+    if ( pako )
+        return(pako.inflate(binArr, {to: 'string'}));
+    
+    if ( typeof zlib == "object" && zlib.pako )
+        return(zlib.pako.inflate(binArr, {to: 'string'}));
+    
+    // Left out of browser bundles - see the 'browser' field of package.json
+    if ( typeof require == "function" && typeof Buffer == "function" )
+        return(require("zlib").inflateSync(Buffer.from(binArr)).toString());
+    
+    throw new Error("No decompression library available.  Include the 'zlib.js' script to process news.");
+}
+
 //********************************************************************************************************* 
 // _login
 // Once we connect into our Elektron WebSocket server, issue a login request as: 
@@ -589,39 +2417,1667 @@ TRWebSocketController.prototype._login = function ()
     this._send(JSON.stringify(login));
 };
 
-//*******************************************************************************
-// _pong
-// To keep the Elektron WebSocket connection active, we must periodically send a
-// notification to the server.  The WebSocket server sends a 'Ping' message and 
-// once received, our application acknowldges and sends a 'Pong'. 
-//
-// JSON request format:
-// {
-//     "Type": "Pong"
-// }
-//
-//**************************************************************
-TRWebSocketController.prototype._pong = function () 
+//********************************************************************************************************* 
+// _open
+// Create the WebSocket connection to our server and bind the WebSocket interface events.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._open = function () 
 {
-    // Send Pong response
-    let pong = {
-        Type: "Pong"
-    };
-
-    // Submit to server
-    this._send(JSON.stringify(pong));
-};      
+    let endpoint = this._endpoints[this._endpointIndex];
+    let WebSocketImpl = this._WebSocket || (typeof WebSocket == "function" ? WebSocket : null);
+    
+    if ( !WebSocketImpl )
+        throw new Error("No WebSocket implementation available.  Specify the 'WebSocket' option, eg: require('ws').");
+    
+    this.ws = new WebSocketImpl(endpoint.url, endpoint.protocols);
+    this.ws.onopen = this._onOpen.bind(this);
+    this.ws.onmessage = this._onMessage.bind(this);
+    this.ws.onclose = this._onClose.bind(this);
+};
 
 //********************************************************************************************************* 
-// _send
-// Send a packet of data down our connected WebSocket channel.
-//*********************************************************************************************************    
-TRWebSocketController.prototype._send = function (text) 
+// _parseEndpoint
+// Determine the WebSocket URL and sub-protocols from the server specification supplied to connect().  The
+// server is either a 'hostname:port', a full 'ws://' or 'wss://' URL or a collection of endpoint options.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._parseEndpoint = function (server) 
 {
-    if (this.ws)
-        this.ws.send(text);
+    let endpoint = {
+        url: "",
+        protocols: ["tr_json2"]
+    };
+    
+    if ( typeof server == "string" ) {
+        // Full URL or simply hostname:port
+        endpoint.url = (/^wss?:\/\//i.test(server) ? server : "ws://" + server + "/WebSocket");
+    }
+    else if ( server && typeof server.host == "string" ) {
+        let scheme = (typeof server.scheme == "string" ? server.scheme.replace(/:\/*$/, "").toLowerCase() : "ws");
+        let path = (typeof server.path == "string" ? server.path : "/WebSocket");
+        
+        if ( path.length > 0 && path.charAt(0) != "/" )
+            path = "/" + path;
+        
+        endpoint.url = scheme + "://" + server.host + (server.port ? ":" + server.port : "") + path;
+        
+        if ( Array.isArray(server.protocols) || typeof server.protocols == "string" )
+            endpoint.protocols = server.protocols;
+    }
+    else
+        throw new Error("Invalid server specification.  Expecting 'hostname:port', a WebSocket URL or endpoint options.");
+    
+    return(endpoint);
+};
+
+//********************************************************************************************************* 
+// _settleLogin
+// Resolve, or reject if an error is supplied, the outstanding connectAsync() request, if any.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._settleLogin = function (error, msg) 
+{
+    let pending = this._pendingLogin;
+    
+    if ( !pending )
+        return;
+    
+    this._pendingLogin = null;
+    clearTimeout(pending.timer);
+    
+    if ( error )
+        pending.reject(error);
+    else
+        pending.resolve(msg);
+};
+
+//********************************************************************************************************* 
+// _failLogin
+// Reject the outstanding connectAsync() request, if any, and shut down the controller.  Nobody awaits the 
+// connection any longer, ie: no further reconnection is attempted.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._failLogin = function (error) 
+{
+    if ( !this._pendingLogin )
+        return;
+    
+    this._settleLogin(error);
+    this.disconnect();
+};
+
+//********************************************************************************************************* 
+// _settlePost
+// Resolve, or reject if an error is supplied, the post awaiting its acknowledgement, if any - see post().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._settlePost = function (postID, error, msg) 
+{
+    let pending = this._pendingPosts[postID];
+    
+    if ( !pending )
+        return;
+    
+    delete this._pendingPosts[postID];
+    clearTimeout(pending.timer);
+    
+    if ( error )
+        pending.reject(error);
+    else
+        pending.resolve(msg);
+};
+
+//********************************************************************************************************* 
+// _settlePosts
+// Reject all posts awaiting their acknowledgement, eg: upon losing our connection.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._settlePosts = function (error) 
+{
+    for (var postID in this._pendingPosts)
+        this._settlePost(postID, error);
+};
+
+//********************************************************************************************************* 
+// _getEndpointInfo
+// Details of the server we are currently using, as reported to our application interface.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._getEndpointInfo = function () 
+{
+    return({
+        server: this._endpoints[this._endpointIndex].url,
+        index: this._endpointIndex,
+        count: this._endpoints.length
+    });
+};
+
+//********************************************************************************************************* 
+// _failover
+// Move onto the next server within our list, if any, reporting the server we are leaving.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._failover = function () 
+{
+    if ( this._endpoints.length < 2 )
+        return;
+    
+    let previous = this._endpoints[this._endpointIndex].url;
+    this._endpointIndex = (this._endpointIndex + 1) % this._endpoints.length;
+    
+    let info = this._getEndpointInfo();
+    info.previous = previous;
+    this._notifyStatus(this.status.failover, info);
+};
+
+//********************************************************************************************************* 
+// _scheduleReconnect
+// Schedule an attempt to re-establish our connection.  The delay between each attempt grows exponentially
+// (initialDelay * multiplier^round), capped at maxDelay, with a random jitter applied to avoid a flood of
+// clients reconnecting at the same moment after a server restart.
+//
+// When multiple servers are defined, each attempt moves onto the next server within the list.  A round 
+// represents one pass through the list, ie: the delay only grows once every server has been tried.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._scheduleReconnect = function () 
+{
+    let params = this._reconnectParams;
+    
+    if ( !params.enabled || this._reconnectTimer )
+        return;
+    
+    if ( params.maxAttempts > 0 && this._reconnectAttempt >= params.maxAttempts ) {
+        this._notifyStatus(this.status.reconnectFailed, {attempts: this._reconnectAttempt});
+        this._discardRequests("Reconnection attempts exhausted");
+        return;
+    }
+    
+    // Failover to the next server within our list
+    this._failover();
+    
+    let round = Math.floor(this._reconnectAttempt / this._endpoints.length);
+    let delay = Math.min(params.maxDelay, params.initialDelay * Math.pow(params.multiplier, round));
+    delay = Math.max(0, Math.round(delay * (1 + params.jitter * (2 * Math.random() - 1))));
+    
+    this._reconnectAttempt++;
+    
+    let info = this._getEndpointInfo();
+    info.attempt = this._reconnectAttempt;
+    info.delay = delay;
+    this._notifyStatus(this.status.reconnecting, info);
+    
+    this._reconnectTimer = setTimeout(function() {
+        this._reconnectTimer = null;
+        this._open();
+    }.bind(this), delay);
+};
+
+//********************************************************************************************************* 
+// _resubscribe
+// After re-establishing our connection and login, re-request every item that was open prior to the 
+// disconnect.  The items are requested under their original IDs, options and processing callbacks.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._resubscribe = function () 
+{
+    let items = this._getOpenItems();
+    
+    for (var i=0; i < items.length; i++) {
+        // Queued requests have never been submitted - see _flushRequests()
+        if ( !items[i].queued )
+            this._sendItem(items[i]);
+    }
+};
+
+//********************************************************************************************************* 
+// _queueRequest
+// Hold onto a request made prior to a successful login.  The items are registered within our tables, 
+// and flagged as queued, so they can be closed or replaced before the request is actually submitted.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._queueRequest = function (id, rics, domain, options) 
+{
+    let ids = (Array.isArray(rics) ? rics.map(function(ric, i) { return(id + i + 1); }) : [id]);
+    
+    for (var i=0; i < ids.length; i++)
+        this._getItem(ids[i]).queued = true;
+    
+    this._requestQueue.push({id: id, rics: rics, domain: domain, options: options});
+};
+
+//********************************************************************************************************* 
+// _flushRequests
+// Upon a successful login, submit all the requests made while we were not logged in.  Items closed or 
+// re-requested while queued are skipped.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._flushRequests = function () 
+{
+    let queue = this._requestQueue;
+    this._requestQueue = [];
+    
+    for (var i=0; i < queue.length; i++) {
+        let request = queue[i];
+        
+        if ( !Array.isArray(request.rics) ) {
+            let item = this._getItem(request.id);
+            if ( item && item.queued ) {
+                item.queued = false;
+                this._sendItem(item);
+            }
+            continue;
+        }
+        
+        // Batch - the item IDs follow sequentially from the batch ID.  If any item has since been closed or 
+        // re-requested, the sequence no longer holds and the remaining items are requested individually.  The 
+        // same applies if an item has since gained consumers, its merged options may differ from the batch.
+        let remaining = [];
+        for (var j=0; j < request.rics.length; j++) {
+            let item = this._getItem(request.id + j + 1);
+            if ( item && item.queued ) {
+                item.queued = false;
+                remaining.push(item);
+            }
+        }
+        
+        let shared = remaining.some(function(item) { return(item.consumers.length > 1); });
+        
+        if ( remaining.length == request.rics.length && !shared )
+            this._sendRequest(request.id, request.rics, request.domain, request.options);
+        else {
+            // No batch response is coming
+            this._ackBatch(request.id);
+            
+            for (var k=0; k < remaining.length; k++)
+                this._sendItem(remaining[k]);
+        }
+    }
+};
+
+//********************************************************************************************************* 
+// _discardRequests
+// The login failed - drop the queued requests and report them to our application interface.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._discardRequests = function (reason, loginMsg) 
+{
+    let queue = this._requestQueue;
+    
+    if ( queue.length == 0 )
+        return;
+    
+    this._requestQueue = [];
+    
+    let discarded = [];
+    for (var i=0; i < queue.length; i++) {
+        let ids = (Array.isArray(queue[i].rics) ? queue[i].rics.map(function(ric, j) { return(queue[i].id + j + 1); }) : [queue[i].id]);
+        
+        for (var j=0; j < ids.length; j++) {
+            let item = this._getItem(ids[j]);
+            if ( item && item.queued )
+                this._removeID(ids[j]);
+        }
+        
+        // No batch response is coming
+        this._ackBatch(queue[i].id);
+        
+        discarded.push({rics: queue[i].rics, options: queue[i].options});
+    }
+    
+    this._notifyStatus(this.status.requestsDiscarded, {reason: reason, requests: discarded, msg: loginMsg});
+};
+
+//********************************************************************************************************* 
+// _sendRequest
+// Build and submit the data request message for the specified item(s).
+//
+// Eg JSON request format:
+// {
+//     "ID": 2,
+//     "Domain": "MarketPrice",
+//     "Key": {
+//        "Name": "TRI.N",
+//        "Service": "ELEKTRON_DD"
+//     },
+//     "View": ["BID", "ASK"]
+// }
+//
+// The same message, sent on an existing stream ID, reissues the request - see reissue().
+//
+// Requests are paced according to the 'throttle' option, ie: held back within the paced queue and sent in 
+// order as the throttle permits - see _pace().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._sendRequest = function (id, rics, domain, options) 
+{
+    this._pacedQueue.push({id: id, rics: rics, domain: domain, options: options});
+    this._pace();
+};
+
+//********************************************************************************************************* 
+// _writeRequest
+// Submit the data request message for the specified item(s) to the server - see _sendRequest().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._writeRequest = function (id, rics, domain, options) 
+{
+    // send marketPrice request message
+    let marketPrice = {
+        ID: id,
+        Domain: domain,
+        Key: {
+            Name: rics
+        }
+    };
+    
+    // Name-less streams, eg: the Source Directory, are keyed by their service and filter only
+    if ( rics === null )
+        delete marketPrice.Key.Name;
+
+    // ******************
+    // Parse options
+    // ******************
+    if ( typeof options.Service == "string" )
+        marketPrice.Key.Service = options.Service;
+    
+    if ( typeof options.Filter == "number" )
+        marketPrice.Key.Filter = options.Filter;
+    
+    if ( typeof options.Streaming == "boolean" )
+        marketPrice.Streaming = options.Streaming;
+    
+    if ( Array.isArray(options.View) )
+        marketPrice.View = options.View;
+    
+    if ( typeof options.Priority == "object" && options.Priority !== null )
+        marketPrice.Priority = options.Priority;
+    
+    if ( options.Pause === true )
+        marketPrice.Pause = true;
+    
+    if ( options.Refresh === false )
+        marketPrice.Refresh = false;
+    
+    // Track the items requested and those awaiting their response, the window of the throttle
+    let ids = (Array.isArray(rics) ? rics.map(function(ric, i) { return(id + i + 1); }) : [id]);
+    ids.forEach(function(child) {
+        this._sentIDs[child] = true;
+        if ( options.Refresh !== false ) {
+            this._outstanding[child] = true;
+            this._startRequestTimer(this._getItem(child));
+        }
+    }, this);
+    this._sentTimes.push(Date.now());
+
+    // Submit to server
+    this._send(JSON.stringify(marketPrice)); 
+};
+
+//********************************************************************************************************* 
+// _pace
+// Send the requests held within the paced queue, in order, as permitted by the throttle:
+//
+//      requestsPerSecond   Once reached, we wait until the oldest request sent falls out of the last second.
+//      maxOutstanding      Once reached, we wait for responses to the items already requested.  A batch larger
+//                          than the window is sent once nothing is outstanding.
+//
+// Items closed or re-requested while held back are skipped.  If the sequence of IDs of a batch no longer 
+// holds, the remaining items are requested individually - see _flushRequests().
+//********************************************************************************************************* 
+TRWebSocketController.prototype._pace = function () 
+{
+    let params = this._throttleParams;
+    
+    while ( this._pacedQueue.length > 0 && !this._paceTimer ) {
+        let request = this._pacedQueue[0];
+        let now = Date.now();
+        
+        // Requests per second
+        this._sentTimes = this._sentTimes.filter(function(time) { return(now - time < 1000); });
+        if ( params.requestsPerSecond > 0 && this._sentTimes.length >= params.requestsPerSecond ) {
+            this._paceTimer = setTimeout(function() {
+                this._paceTimer = null;
+                this._pace();
+            }.bind(this), 1000 - (now - this._sentTimes[0]));
+            return;
+        }
+        
+        // Outstanding window - resumed by _responded()
+        let count = (Array.isArray(request.rics) ? request.rics.length : 1);
+        let outstanding = Object.keys(this._outstanding).length;
+        if ( params.maxOutstanding > 0 && outstanding > 0 && outstanding + count > params.maxOutstanding )
+            return;
+        
+        this._pacedQueue.shift();
+        
+        if ( !Array.isArray(request.rics) ) {
+            if ( this._getItem(request.id) )
+                this._writeRequest(request.id, request.rics, request.domain, request.options);
+            continue;
+        }
+        
+        let remaining = [];
+        for (var i=0; i < request.rics.length; i++) {
+            let item = this._getItem(request.id + i + 1);
+            if ( item && item.ric === request.rics[i] )
+                remaining.push(item);
+        }
+        
+        if ( remaining.length == request.rics.length )
+            this._writeRequest(request.id, request.rics, request.domain, request.options);
+        else {
+            // No batch response is coming
+            this._ackBatch(request.id);
+            
+            for (var j=0; j < remaining.length; j++)
+                this._writeRequest(remaining[j].id, remaining[j].ric, remaining[j].domain, remaining[j].options);
+        }
+    }
+};
+
+//********************************************************************************************************* 
+// _responded
+// The item has answered its request (refresh or status), making room within the outstanding window.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._responded = function (id) 
+{
+    let item = this._getItem(id);
+    if ( item ) {
+        item.attempt = 0;
+        this._stopRequestTimer(item);
+    }
+    
+    if ( !this._outstanding.hasOwnProperty(id) )
+        return;
+    
+    delete this._outstanding[id];
+    this._pace();
+};
+
+//********************************************************************************************************* 
+// _startRequestTimer / _stopRequestTimer
+// Watch for the response of the requested item - see the 'requestTimeout' option.  The timeout and retries
+// of a shared stream are the shortest timeout and the most retries requested by its consumers.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._startRequestTimer = function (item) 
+{
+    if ( !item )
+        return;
+    
+    let params = this._requestTimeoutParams;
+    let timeout = 0;
+    let retries = 0;
+    
+    item.consumers.forEach(function(handle) {
+        let t = (typeof handle.options.timeout == "number" ? handle.options.timeout : params.timeout);
+        let r = (typeof handle.options.retries == "number" ? handle.options.retries : params.retries);
+        
+        if ( t > 0 ) timeout = (timeout > 0 ? Math.min(timeout, t) : t);
+        retries = Math.max(retries, r);
+    });
+    
+    this._stopRequestTimer(item);
+    if ( timeout > 0 )
+        item.timer = setTimeout(this._onRequestTimeout.bind(this, item, timeout, retries), timeout);
+};
+
+TRWebSocketController.prototype._stopRequestTimer = function (item) 
+{
+    clearTimeout(item.timer);
+    item.timer = null;
+};
+
+//********************************************************************************************************* 
+// _onRequestTimeout
+// The item has not answered its request (no refresh or status) within the timeout.  Report to our 
+// application interface and to the consumers of the stream.  If retries remain, the stream is closed and
+// requested again.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._onRequestTimeout = function (item, timeout, retries) 
+{
+    item.timer = null;
+    item.attempt = (item.attempt || 0) + 1;
+    
+    let retrying = this._loggedIn && item.attempt <= retries;
+    let info = {ric: item.ric, domain: item.domain, id: item.id, timeout: timeout, attempt: item.attempt, retrying: retrying};
+    
+    this._notifyStatus(this.status.requestTimeout, info);
+    item.consumers.slice().forEach(function(handle) { handle._timeout(info); });
+    
+    // The stream may have been closed by a listener
+    if ( !retrying || this._getItem(item.id) !== item )
+        return;
+    
+    delete this._outstanding[item.id];
+    this._send(JSON.stringify({ID: item.id, Type: "Close"}));
+    this._sendItem(item);
+};
+
+//********************************************************************************************************* 
+// _releaseIDs
+// The items are being closed.  Returns the IDs that have been requested from the server, ie: excluding those 
+// still held back within the paced queue.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._releaseIDs = function (ids) 
+{
+    let submitted = ids.filter(function(id) { return( this._sentIDs[id] ); }, this);
+    
+    ids.forEach(function(id) {
+        delete this._sentIDs[id];
+        delete this._outstanding[id];
+    }, this);
+    this._pace();
+    
+    return(submitted);
+};
+
+//********************************************************************************************************* 
+// _resetThrottle
+// The connection is gone - drop the requests held back and forget the items awaiting their response.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._resetThrottle = function () 
+{
+    clearTimeout(this._paceTimer);
+    this._paceTimer = null;
+    this._pacedQueue = [];
+    this._sentIDs = {};
+    this._outstanding = {};
+    this._sentTimes = [];
+};
+
+//********************************************************************************************************* 
+// _splitBatch
+// Split the batch into batches of at most 'maxBatchSize' items - see the 'throttle' option.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._splitBatch = function (rics) 
+{
+    let size = (this._throttleParams.maxBatchSize > 0 ? this._throttleParams.maxBatchSize : rics.length);
+    let batches = [];
+    
+    for (var i=0; i < rics.length; i += size)
+        batches.push(rics.slice(i, i + size));
+    
+    return(batches);
+};
+
+//*******************************************************************************
+// _pong
+// To keep the Elektron WebSocket connection active, we must periodically send a
+// notification to the server.  The WebSocket server sends a 'Ping' message and 
+// once received, our application acknowldges and sends a 'Pong'. 
+//
+// JSON request format:
+// {
+//     "Type": "Pong"
+// }
+//
+//**************************************************************
+TRWebSocketController.prototype._pong = function () 
+{
+    // Send Pong response
+    let pong = {
+        Type: "Pong"
+    };
+
+    // Submit to server
+    this._send(JSON.stringify(pong));
+};      
+
+//*******************************************************************************
+// _ping
+// Client-initiated keep-alive.  When the 'heartbeat.pingInterval' option is set,
+// we periodically send a 'Ping' and expect the server to respond with a 'Pong'.
+//
+// JSON request format:
+// {
+//     "Type": "Ping"
+// }
+//
+//**************************************************************
+TRWebSocketController.prototype._ping = function () 
+{
+    // Send Ping request
+    let ping = {
+        Type: "Ping"
+    };
+
+    // Submit to server
+    this._send(JSON.stringify(ping));
+};      
+
+//********************************************************************************************************* 
+// _startHeartbeat / _stopHeartbeat
+// Manage the watchdog monitoring the time since we last heard from the server.  If nothing, not even a
+// Ping, arrives within the 'heartbeat.timeout', the connection has silently stalled (eg: behind a proxy).
+// We report and forcibly recycle the connection, relying on the automatic reconnection to recover.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._startHeartbeat = function () 
+{
+    let params = this._heartbeatParams;
+    
+    this._stopHeartbeat();
+    this._lastActivity = this._lastPing = Date.now();
+    
+    if ( params.timeout <= 0 && params.pingInterval <= 0 )
+        return;
+    
+    // Check frequently enough to honor the shortest of our intervals
+    let intervals = [params.timeout, params.pingInterval].filter(function(ms) { return(ms > 0); });
+    let tick = Math.max(100, Math.min.apply(null, intervals) / 4);
+    
+    this._heartbeatTimer = setInterval(this._checkHeartbeat.bind(this), tick);
+};
+
+TRWebSocketController.prototype._stopHeartbeat = function () 
+{
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+};
+
+TRWebSocketController.prototype._checkHeartbeat = function () 
+{
+    let params = this._heartbeatParams;
+    let now = Date.now();
+    
+    if ( params.timeout > 0 && now - this._lastActivity >= params.timeout ) {
+        let info = this._getEndpointInfo();
+        info.elapsed = now - this._lastActivity;
+        this._notifyStatus(this.status.heartbeatTimeout, info);
+        
+        // Recycle the connection - the stalled socket may never report its own closure
+        this._stopHeartbeat();
+        this._closeSocket(4000, "Heartbeat timeout");
+        this._onClose();
+        return;
+    }
+    
+    if ( params.pingInterval > 0 && now - this._lastPing >= params.pingInterval ) {
+        this._lastPing = now;
+        this._ping();
+    }
+};
+
+//********************************************************************************************************* 
+// _closeSocket
+// Close our WebSocket connection.  We first detach from the WebSocket interface so the closure is not 
+// reported back to us, eg: as a lost connection.
+//********************************************************************************************************* 
+TRWebSocketController.prototype._closeSocket = function (code, reason) 
+{
+    let ws = this.ws;
+    
+    if ( !ws )
+        return;
+    
+    ws.onopen = ws.onmessage = ws.onclose = null;
+    this.ws = null;
+    ws.close(code, reason);
+};
+
+//********************************************************************************************************* 
+// _send
+// Send a packet of data down our connected WebSocket channel.  Data is discarded while the channel is
+// not open, eg: during a reconnection attempt.
+//*********************************************************************************************************    
+TRWebSocketController.prototype._send = function (text) 
+{
+    if (this.ws && this.ws.readyState === 1)
+        this.ws.send(text);
+};
+
+//********************************************************************************************************* 
+// _emit
+// Present the event to all registered listeners.
+//*********************************************************************************************************    
+TRWebSocketController.prototype._emit = function (event) 
+{
+    if ( !this._listeners.hasOwnProperty(event) )
+        return;
+    
+    // Listeners may unregister themselves (eg: once()) while we iterate - work on a copy
+    let listeners = this._listeners[event].slice();
+    let args = Array.prototype.slice.call(arguments, 1);
+    
+    for (var i=0; i < listeners.length; i++)
+        listeners[i].apply(this, args);
+};
+
+//********************************************************************************************************* 
+// _notifyStatus
+// Report the status event to our application interface.  The event is presented to the 'status' listeners
+// as well as to the listeners of its category (connection, login, itemStatus or error).
+//*********************************************************************************************************    
+TRWebSocketController.prototype._notifyStatus = function (eventCode, msg) 
+{
+    this._emit(this.events.status, eventCode, msg);
+    
+    switch (eventCode) {
+        case this.status.connected:
+        case this.status.disconnected:
+        case this.status.reconnecting:
+        case this.status.reconnectFailed:
+        case this.status.failover:
+        case this.status.heartbeatTimeout:
+            this._emit(this.events.connection, eventCode, msg);
+            break;
+            
+        case this.status.loginResponse:
+        case this.status.requestsDiscarded:
+            this._emit(this.events.login, eventCode, msg);
+            break;
+            
+        case this.status.msgStatus:
+        case this.status.requestTimeout:
+        case this.status.unknownStream:     // Routine, eg: updates in flight while closing a stream
+            this._emit(this.events.itemStatus, eventCode, msg);
+            break;
+            
+        case this.status.processingError:
+        case this.status.msgError:
+            this._emit(this.events.error, eventCode, msg);
+            break;
+    }
+};
+
+//********************************************************************************************************* 
+// _mergeOptions
+// Apply the user-supplied options onto our defaults.  Only known options of the expected type are applied.
+//*********************************************************************************************************    
+TRWebSocketController.prototype._mergeOptions = function (defaults, options) 
+{
+    if ( typeof options != "object" || options === null )
+        return;
+    
+    for (var param in defaults) {
+        if ( typeof options[param] == typeof defaults[param] )
+            defaults[param] = options[param];
+    }
 };
 
 TRWebSocketController.prototype.isCallback = function(methodName) { 
     return( (typeof methodName) == "function" ); 
 }
+
+//****************************************************************************************************************************************** 
+// TRSubscription
+//
+// Handle representing a single item requested via requestData() or requestNews().  The handle identifies the stream and
+// allows the application to listen to, close or reissue it without recomposing the item key.
+//
+// Properties:
+//      streamID    ID of the stream assigned by the controller.  -1 once the stream is closed.
+//      key         Key identifying the item within the controller: ric:domain[:service].
+//      ric         Name of the item.
+//      domain      Domain model of the item.
+//      options     Options of the request - see requestData().
+//
+// Several handles may share the same stream (see requestData()).  Each handle is a consumer of the stream with its
+// own options and listeners.  Closing the handle releases the consumer, the stream is closed with its last consumer.
+//
+// Interface:
+//      TRSubscription.onRefresh(eventFn)       f(msg) - Refresh messages for the item.
+//      TRSubscription.onUpdate(eventFn)        f(msg) - Update messages for the item.
+//      TRSubscription.onStatus(eventFn)        f(msg) - Status messages for the item.
+//      TRSubscription.onTimeout(eventFn)       f(info) - The item has not answered its request - see requestTimeout.
+//      TRSubscription.close()
+//      TRSubscription.reissue(options={})
+//      TRSubscription.pause()
+//      TRSubscription.resume()
+//      TRSubscription.isPaused()
+//      TRSubscription.isOpen()
+//      TRSubscription.getRecord()
+//      TRSubscription.getBook()
+//
+// Listeners are invoked with the handle as 'this' in addition to the listeners registered on the controller.
+//****************************************************************************************************************************************** 
+function TRSubscription(controller, item, cb, options) {
+    this.controller = controller;
+    this.key = item.key;
+    this.ric = item.ric;
+    this.domain = item.domain;
+    this.options = Object.assign({}, options);
+    
+    this._item = item;      // Open stream we are a consumer of
+    this._cb = cb;          // Processing callback
+    this._closed = false;
+    this._listeners = {
+        Refresh: [],
+        Update: [],
+        Status: [],
+        Timeout: []
+    };
+}
+
+Object.defineProperty(TRSubscription.prototype, "streamID", {
+    get: function() { return( this._closed ? -1 : this._item.id ); }
+});
+
+TRSubscription.prototype.onRefresh = function(f) {
+    if ( this.controller.isCallback(f) ) this._listeners.Refresh.push(f);
+    return(this);
+}
+
+TRSubscription.prototype.onUpdate = function(f) {
+    if ( this.controller.isCallback(f) ) this._listeners.Update.push(f);
+    return(this);
+}
+
+TRSubscription.prototype.onStatus = function(f) {
+    if ( this.controller.isCallback(f) ) this._listeners.Status.push(f);
+    return(this);
+}
+
+TRSubscription.prototype.onTimeout = function(f) {
+    if ( this.controller.isCallback(f) ) this._listeners.Timeout.push(f);
+    return(this);
+}
+
+//
+// close
+// Release the consumer.  The stream is closed once its last consumer is released.
+//
+TRSubscription.prototype.close = function() {
+    if ( !this._closed )
+        this.controller._closeSubscription(this);
+    
+    return(this);
+}
+
+//
+// reissue
+// Re-request the item on its existing stream, optionally changing its attributes (View, Priority, Pause or Refresh).
+// Equivalent to reissue(handle, options) on the controller.
+//
+TRSubscription.prototype.reissue = function(options={}) {
+    if ( !this._closed )
+        this.controller.reissue(this, options);
+    
+    return(this);
+}
+
+//
+// pause / resume
+// Pause or resume the delivery of updates.  Equivalent to pause(handle) / resume(handle) on the controller.
+//
+TRSubscription.prototype.pause = function() {
+    if ( !this._closed )
+        this.controller.pause(this);
+    
+    return(this);
+}
+
+TRSubscription.prototype.resume = function() {
+    if ( !this._closed )
+        this.controller.resume(this);
+    
+    return(this);
+}
+
+//
+// isPaused
+// Returns true if the delivery of updates is paused.
+//
+TRSubscription.prototype.isPaused = function() {
+    return(this.options.Pause === true);
+}
+
+//
+// isOpen
+// Returns true while the stream is open, or queued awaiting login.
+//
+TRSubscription.prototype.isOpen = function() {
+    return(!this._closed);
+}
+
+//
+// getRecord
+// Returns the image of the item.  Equivalent to getRecord(handle) on the controller.
+//
+TRSubscription.prototype.getRecord = function() {
+    if ( !this._closed )
+        return( this.controller.getRecord(this) );
+}
+
+//
+// getBook
+// Returns the order book of the MarketByPrice/MarketByOrder item.  Equivalent to getBook(handle) on the controller.
+//
+TRSubscription.prototype.getBook = function() {
+    if ( !this._closed )
+        return( this.controller.getBook(this) );
+}
+
+// Present the message to the listeners of its type.  A paused consumer of a shared stream receives no updates.
+TRSubscription.prototype._dispatch = function(msg) {
+    if ( msg.Type === "Update" && this.isPaused() )
+        return;
+    
+    this._notify(msg.Type, msg);
+}
+
+// The item has not answered its request - see the 'requestTimeout' option of the controller.
+TRSubscription.prototype._timeout = function(info) {
+    this._notify("Timeout", info);
+}
+
+TRSubscription.prototype._notify = function(type, msg) {
+    let listeners = this._listeners[type];
+    
+    if ( !listeners )
+        return;
+    
+    listeners = listeners.slice();
+    for (var i=0; i < listeners.length; i++)
+        listeners[i].call(this, msg);
+}
+
+// The consumer has been released or the stream closed, either by the application or the server.
+TRSubscription.prototype._setClosed = function() {
+    this._closed = true;
+}
+
+//****************************************************************************************************************************************** 
+// TRChain
+//
+// Handle of a chain requested via requestChain().  The controller walks the records of the chain, following the link to the
+// next record, and presents the constituents once the last record has been received.  Any subsequent change to the records,
+// ie: constituents added, removed or re-ordered, or a different next record, updates the constituents.
+//
+// Interface:
+//      TRChain.ric                                 Name of the first record of the chain.
+//      TRChain.constituents                        Constituents of the chain, in order.  Empty until complete.
+//      TRChain.records                             Names of the records making up the chain.
+//      TRChain.subscriptions                       Subscription handle (TRSubscription) of each constituent, by ric.
+//                                                  Populated when the 'subscribe' option is specified.
+//      TRChain.onChange(f(constituents, added, removed))   The constituents are first complete or have changed.
+//      TRChain.onStatus(f(msg))                    Status message of a chain record, eg: the record is not found.
+//      TRChain.isComplete()
+//      TRChain.close()                             Close the chain records and the constituent subscriptions.
+//****************************************************************************************************************************************** 
+function TRChain(controller, ric, options) {
+    this.controller = controller;
+    this.ric = ric;
+    this.options = Object.assign({}, options);
+    this.constituents = [];
+    this.subscriptions = {};
+    
+    this._records = [];     // Chain records, in order: {ric, handle, fields}
+    this._complete = false;
+    this._closed = false;
+    this._listeners = {
+        Change: [],
+        Status: []
+    };
+}
+
+// Fields of the short and long link templates
+const _chainTemplates = {
+    short: { links: "LINK_", next: "NEXT_LR" },
+    long: { links: "LONGLINK", next: "LONGNEXTLR" }
+};
+
+Object.defineProperty(TRChain.prototype, "records", {
+    get: function() { return( this._records.map(function(record) { return(record.ric); }) ); }
+});
+
+TRChain.prototype.onChange = function(f) {
+    if ( this.controller.isCallback(f) ) this._listeners.Change.push(f);
+    return(this);
+}
+
+TRChain.prototype.onStatus = function(f) {
+    if ( this.controller.isCallback(f) ) this._listeners.Status.push(f);
+    return(this);
+}
+
+//
+// isComplete
+// Returns true once every record of the chain has been received.
+//
+TRChain.prototype.isComplete = function() {
+    return(this._complete);
+}
+
+//
+// close
+// Close the chain records and, if subscribed, the constituents.
+//
+TRChain.prototype.close = function() {
+    if ( this._closed )
+        return(this);
+    
+    this._closed = true;
+    this._truncate(0);
+    
+    for (var ric in this.subscriptions)
+        this.subscriptions[ric].close();
+    this.subscriptions = {};
+    
+    return(this);
+}
+
+// Request the next record of the chain
+TRChain.prototype._open = function(ric) {
+    let record = { ric: ric, handle: null, fields: null };
+    let apply = this._apply.bind(this, record);
+    let chain = this;
+    
+    this._records.push(record);
+    record.handle = this.controller.requestData(ric, {Service: this.options.Service, cb: function() {}});
+    record.handle.onRefresh(apply).onUpdate(apply).onStatus(function(msg) {
+        chain._notify("Status", [msg]);
+    });
+}
+
+// Close the records of the chain from the specified position onwards
+TRChain.prototype._truncate = function(index) {
+    this._records.splice(index).forEach(function(record) {
+        record.handle.close();
+    });
+}
+
+// Apply the refresh or update of the chain record
+TRChain.prototype._apply = function(record, msg) {
+    let index = this._records.indexOf(record);
+    
+    // The record is no longer part of the chain
+    if ( index < 0 || this._closed )
+        return;
+    
+    record.fields = Object.assign({}, (msg.Type === "Update" ? record.fields : {}), msg.Fields);
+    
+    // Follow the link to the next record.  A link back into the chain ends it.
+    let next = this._links(record).next;
+    let following = this._records[index+1];
+    
+    if ( !following || following.ric !== next ) {
+        this._truncate(index+1);
+        if ( next && this.records.indexOf(next) < 0 )
+            this._open(next);
+    }
+    
+    this._evaluate();
+}
+
+// Retrieve the constituents and the next record from the link fields of the record
+TRChain.prototype._links = function(record) {
+    let fields = record.fields || {};
+    let template = (fields.hasOwnProperty("LONGNEXTLR") || fields.hasOwnProperty("LONGLINK1") ? _chainTemplates.long : _chainTemplates.short);
+    let name = function(value) {
+        return( typeof value == "string" ? value.trim() : "" );
+    };
+    let links = [];
+    
+    for (var i=1; i <= 14; i++) {
+        let link = name(fields[template.links + i]);
+        if ( link ) links.push(link);
+    }
+    
+    return({ links: links, next: name(fields[template.next]) });
+}
+
+// Once every record has been received, present any change to the constituents
+TRChain.prototype._evaluate = function() {
+    let pending = this._records.some(function(record) { return(record.fields === null); });
+    
+    if ( pending )
+        return;
+    
+    let constituents = [].concat.apply([], this._records.map(function(record) { return(this._links(record).links); }, this));
+    let changed = !this._complete || constituents.length !== this.constituents.length || 
+                  constituents.some(function(ric, i) { return(ric !== this.constituents[i]); }, this);
+    
+    if ( !changed )
+        return;
+    
+    let added = constituents.filter(function(ric, i) { return(this.constituents.indexOf(ric) < 0 && constituents.indexOf(ric) == i); }, this);
+    let removed = this.constituents.filter(function(ric, i, all) { return(constituents.indexOf(ric) < 0 && all.indexOf(ric) == i); });
+    
+    this._complete = true;
+    this.constituents = constituents;
+    
+    if ( this.options.subscribe )
+        this._subscribe(added, removed);
+    
+    this._notify("Change", [constituents.slice(), added, removed]);
+}
+
+// Subscribe to the added constituents, closing the subscriptions of those removed
+TRChain.prototype._subscribe = function(added, removed) {
+    let options = Object.assign({Service: this.options.Service}, (typeof this.options.subscribe == "object" ? this.options.subscribe : {}));
+    
+    removed.forEach(function(ric) {
+        if ( this.subscriptions.hasOwnProperty(ric) ) {
+            this.subscriptions[ric].close();
+            delete this.subscriptions[ric];
+        }
+    }, this);
+    
+    if ( added.length > 0 ) {
+        let handles = this.controller.requestData(added, options);
+        added.forEach(function(ric, i) { this.subscriptions[ric] = handles[i]; }, this);
+    }
+}
+
+TRChain.prototype._notify = function(type, args) {
+    let listeners = this._listeners[type].slice();
+    
+    for (var i=0; i < listeners.length; i++)
+        listeners[i].apply(this, args);
+}
+
+//****************************************************************************************************************************************** 
+// TRSymbolList
+//
+// Handle of a symbol list requested via requestSymbolList().  The symbols are maintained from the Map entries of the refresh,
+// the parts of a multi-part refresh accumulating until complete, and of the updates: Add entries join the list, Delete entries
+// leave it.  When subscribed, the streams of the symbols are requested and closed as the symbols join and leave the list, 
+// sharing any stream already open for the symbol.
+//
+// Interface:
+//      TRSymbolList.name                           Name of the symbol list.
+//      TRSymbolList.symbols                        Symbols of the list.  Empty until the refresh is complete.
+//      TRSymbolList.subscriptions                  Subscription handle (TRSubscription) of each symbol.
+//                                                  Populated when the 'subscribe' option is specified.
+//      TRSymbolList.onChange(f(symbols, added, removed))   The symbols are first complete or have changed.
+//      TRSymbolList.onStatus(f(msg))               Status message of the symbol list, eg: the list is not found.
+//      TRSymbolList.isComplete()
+//      TRSymbolList.close()                        Close the symbol list and the symbol subscriptions.
+//****************************************************************************************************************************************** 
+function TRSymbolList(controller, name, options) {
+    this.controller = controller;
+    this.name = name;
+    this.options = Object.assign({}, options);
+    this.symbols = [];
+    this.subscriptions = {};
+    
+    this._handle = null;    // Stream of the symbol list
+    this._entries = {};     // Symbol -> fields of the Map entry
+    this._refreshed = true; // The last refresh is complete, ie: a refresh starts a new list
+    this._complete = false;
+    this._closed = false;
+    this._listeners = {
+        Change: [],
+        Status: []
+    };
+}
+
+TRSymbolList.prototype.onChange = TRChain.prototype.onChange;
+TRSymbolList.prototype.onStatus = TRChain.prototype.onStatus;
+
+//
+// isComplete
+// Returns true once the refresh of the symbol list has been received.
+//
+TRSymbolList.prototype.isComplete = function() {
+    return(this._complete);
+}
+
+//
+// close
+// Close the symbol list and, if subscribed, the streams of the symbols.
+//
+TRSymbolList.prototype.close = function() {
+    if ( this._closed )
+        return(this);
+    
+    this._closed = true;
+    this._handle.close();
+    this._subscribe([], Object.keys(this.subscriptions));
+    
+    return(this);
+}
+
+// Request the symbol list
+TRSymbolList.prototype._open = function() {
+    let list = this;
+    
+    this._handle = this.controller.requestData(this.name, {Domain: Domains.SymbolList, Service: this.options.Service, cb: function() {}});
+    this._handle.onRefresh(this._apply.bind(this)).onUpdate(this._apply.bind(this)).onStatus(function(msg) {
+        list._notify("Status", [msg]);
+    });
+}
+
+// Apply the Map entries of the refresh or update of the symbol list
+TRSymbolList.prototype._apply = function(msg) {
+    if ( this._closed || typeof msg.Map != "object" || msg.Map === null )
+        return;
+    
+    if ( msg.Type === "Refresh" ) {
+        // A new list, unless this is the next part of a multi-part refresh
+        if ( this._refreshed )
+            this._entries = {};
+        this._refreshed = (msg.Complete !== false);
+    }
+    
+    let entries = (Array.isArray(msg.Map.Entries) ? msg.Map.Entries : []);
+    for (var i=0; i < entries.length; i++) {
+        let symbol = String(entries[i].Key);
+        
+        if ( entries[i].Action === "Delete" )
+            delete this._entries[symbol];
+        else
+            this._entries[symbol] = Object.assign({}, (entries[i].Action === "Update" ? this._entries[symbol] : {}), entries[i].Fields);
+    }
+    
+    if ( !this._refreshed )
+        return;
+    
+    // Present the symbols that joined or left the list
+    let symbols = Object.keys(this._entries);
+    let added = symbols.filter(function(symbol) { return(this.symbols.indexOf(symbol) < 0); }, this);
+    let removed = this.symbols.filter(function(symbol) { return(!this._entries.hasOwnProperty(symbol)); }, this);
+    
+    if ( this._complete && added.length == 0 && removed.length == 0 )
+        return;
+    
+    this._complete = true;
+    this.symbols = symbols;
+    
+    if ( this.options.subscribe )
+        this._subscribe(added, removed);
+    
+    this._notify("Change", [symbols.slice(), added, removed]);
+}
+
+TRSymbolList.prototype._subscribe = TRChain.prototype._subscribe;
+TRSymbolList.prototype._notify = TRChain.prototype._notify;
+
+//****************************************************************************************************************************************** 
+// TROrderBook
+//
+// Order book of a MarketByPrice or MarketByOrder stream, maintained by the controller from the Map entries of the refresh and
+// update messages.  Each entry, keyed by price (MarketByPrice) or order ID (MarketByOrder), carries the ORDER_PRC, ORDER_SIDE,
+// ORDER_SIZE and, for MarketByPrice, NO_ORD fields.  Entries are aggregated into price levels on either side of the book.
+//
+// Entry actions:
+//      Add         New entry.  Replaces any entry under the same key.
+//      Update      Fields of the entry changed.  Only the changed fields are present.
+//      Delete      Entry removed.  No fields are present.
+//****************************************************************************************************************************************** 
+function TROrderBook() {
+    this.complete = false;
+    this.summary = {};
+    
+    this._entries = {};                     // Entry key -> {side, price, size, orders, fields}
+    this._levels = {BID: {}, ASK: {}};      // Side -> price -> {price, size, orders}
+}
+
+//
+// apply
+// Apply the Map entries of the refresh or update.  A refresh starts a new book, the parts of a multi-part refresh
+// accumulate until complete.  Returns the price levels changed: [{side, price, size, orders, action}].
+//
+TROrderBook.prototype.apply = function(msg) {
+    let map = msg.Map;
+    let changes = [];
+    
+    if ( msg.Type === "Refresh" ) {
+        // A new book, unless this is the next part of a multi-part refresh
+        if ( this.complete ) {
+            this.summary = {};
+            this._entries = {};
+            this._levels = {BID: {}, ASK: {}};
+        }
+        this.complete = (msg.Complete !== false);
+    }
+    
+    if ( map.Summary && map.Summary.Fields )
+        Object.assign(this.summary, map.Summary.Fields);
+    
+    let entries = (Array.isArray(map.Entries) ? map.Entries : []);
+    for (var i=0; i < entries.length; i++) {
+        let entry = entries[i];
+        let key = (typeof entry.Key == "object" ? JSON.stringify(entry.Key) : String(entry.Key));
+        let previous = this._entries[key];
+        let order;
+        
+        if ( entry.Action !== "Delete" ) {
+            // Updates only carry the fields that changed
+            let fields = Object.assign({}, (previous && entry.Action === "Update" ? previous.fields : {}), entry.Fields);
+            order = this._parseEntry(fields);
+        }
+        
+        // The levels affected by the entry, prior to applying it
+        let affected = [previous, order].filter(function(o) { return(o); }).map(function(o) {
+            let level = this._levels[o.side][o.price];
+            return({side: o.side, price: o.price, before: (level ? {size: level.size, orders: level.orders} : null)});
+        }, this);
+        
+        if ( previous ) this._aggregate(previous, -1);
+        if ( order ) this._aggregate(order, 1);
+        
+        if ( order )
+            this._entries[key] = order;
+        else
+            delete this._entries[key];
+        
+        affected.forEach(function(a, j) {
+            if ( j > 0 && a.side === affected[0].side && a.price === affected[0].price )
+                return;
+            
+            let level = this._levels[a.side][a.price];
+            if ( a.before && level && a.before.size === level.size && a.before.orders === level.orders )
+                return;
+            
+            changes.push({
+                side: a.side,
+                price: a.price,
+                size: (level ? level.size : 0),
+                orders: (level ? level.orders : 0),
+                action: (!level ? "Delete" : (a.before ? "Update" : "Add"))
+            });
+        }, this);
+    }
+    
+    return(changes);
+}
+
+//
+// depth
+// Returns the sorted depth of the book - see getBook().
+//
+TROrderBook.prototype.depth = function(ric, domain) {
+    let levels = function(side, descending) {
+        let result = [];
+        for (var price in side)
+            result.push({price: side[price].price, size: side[price].size, orders: side[price].orders});
+        
+        // Orders without a price (eg: market orders) have priority
+        return( result.sort(function(a, b) {
+            if ( a.price === null || b.price === null )
+                return( (a.price === null ? 0 : 1) - (b.price === null ? 0 : 1) );
+            
+            return( descending ? b.price - a.price : a.price - b.price );
+        }) );
+    };
+    
+    return({
+        ric: ric,
+        domain: domain,
+        bids: levels(this._levels.BID, true),
+        asks: levels(this._levels.ASK, false),
+        summary: Object.assign({}, this.summary),
+        complete: this.complete
+    });
+}
+
+// Retrieve the side, price, size and number of orders of the entry.  Returns undefined if the side is unknown.
+TROrderBook.prototype._parseEntry = function(fields) {
+    let sides = {1: "BID", BID: "BID", B: "BID", 2: "ASK", ASK: "ASK", A: "ASK"};
+    let side = sides[typeof fields.ORDER_SIDE == "string" ? fields.ORDER_SIDE.trim() : fields.ORDER_SIDE];
+    
+    if ( !side )
+        return;
+    
+    return({
+        side: side,
+        price: (typeof fields.ORDER_PRC == "number" ? fields.ORDER_PRC : null),
+        size: (typeof fields.ORDER_SIZE == "number" ? fields.ORDER_SIZE : 0),
+        orders: (typeof fields.NO_ORD == "number" ? fields.NO_ORD : 1),
+        fields: fields
+    });
+}
+
+// Add (1) or remove (-1) the entry from its price level.
+TROrderBook.prototype._aggregate = function(order, sign) {
+    let side = this._levels[order.side];
+    let level = side[order.price] || (side[order.price] = {price: order.price, size: 0, orders: 0, entries: 0});
+    
+    level.size += sign * order.size;
+    level.orders += sign * order.orders;
+    level.entries += sign;
+    
+    if ( level.entries <= 0 )
+        delete side[order.price];
+}
+
+//****************************************************************************************************************************************** 
+// TRDictionary
+//
+// Field definitions (RWFFld / RDMFieldDictionary) and enumerated types (RWFEnum / enumtype.def) describing the fields of market
+// data messages.  Populated by the controller, either downloaded via the Dictionary domain (requestDictionary()) or loaded from
+// the contents of local files (loadDictionary()).
+//
+// Field definition:
+//      {
+//          name: <String>          // Acronym of the field, eg: BID
+//          fid: <Number>           // Field ID, eg: 22
+//          longName: <String>      // DDE acronym, eg: BID
+//          rippleTo: <Number>      // FID the value ripples to.  0 if none
+//          type: <String>          // Marketfeed type, eg: PRICE, ENUMERATED
+//          length: <Number>        // Marketfeed length
+//          enumLength: <Number>    // Length of the display strings for enumerated fields
+//          rwfType: <String>       // RWF type, eg: REAL64, ENUM
+//          rwfLength: <Number>     // RWF length
+//      }
+//
+// Interface:
+//      TRDictionary.getField(field)                Definition of the field by name or FID.
+//      TRDictionary.getEnumDisplay(field, value)   Display string of the enumerated value.
+//      TRDictionary.isLoaded()                     True once both the field and enumerated type dictionaries are loaded.
+//      TRDictionary.decode(msg)                    Replace the enumerated values within msg.Fields by their display strings.
+//      TRDictionary.loadFields(text)               Load the contents of an RDMFieldDictionary file.
+//      TRDictionary.loadEnums(text)                Load the contents of an enumtype.def file.
+//****************************************************************************************************************************************** 
+function TRDictionary() {
+    this.version = {fields: null, enums: null};
+    
+    this._fields = {};          // Name -> definition
+    this._fids = {};            // FID -> definition
+    this._enums = {};           // FID -> {value: display}
+    this._fieldsLoaded = false;
+    this._enumsLoaded = false;
+}
+
+// Marketfeed and RWF types as coded within the Dictionary domain
+TRDictionary.prototype._mfTypes = {
+    "-1": "UNKNOWN", 0: "TIME_SECONDS", 1: "INTEGER", 2: "NUMERIC", 3: "DATE", 4: "PRICE", 5: "ALPHANUMERIC",
+    6: "ENUMERATED", 7: "TIME", 8: "BINARY", 9: "LONG_ALPHANUMERIC", 10: "OPAQUE"
+};
+
+TRDictionary.prototype._rwfTypes = {
+    3: "INT64", 4: "UINT64", 5: "FLOAT", 6: "DOUBLE", 8: "REAL64", 9: "DATE", 10: "TIME", 11: "DATETIME", 12: "QOS",
+    13: "STATE", 14: "ENUM", 15: "ARRAY", 16: "BUFFER", 17: "ASCII_STRING", 18: "UTF8_STRING", 19: "RMTES_STRING"
+};
+
+TRDictionary.prototype.getField = function(field) {
+    let def = (typeof field == "number" ? this._fids[field] : this._fields[field]);
+    
+    if ( def )
+        return( Object.assign({}, def) );
+}
+
+TRDictionary.prototype.getEnumDisplay = function(field, value) {
+    let def = (typeof field == "number" ? this._fids[field] : this._fields[field]);
+    let table = (def ? this._enums[def.fid] : undefined);
+    
+    if ( table )
+        return( table[value] );
+}
+
+TRDictionary.prototype.isLoaded = function() {
+    return( this._fieldsLoaded && this._enumsLoaded );
+}
+
+//
+// decode
+// Replace the enumerated values within the fields of the message by their display strings.  Values without
+// a display string are left untouched.  Returns the message.
+//
+TRDictionary.prototype.decode = function(msg) {
+    if ( !this.isLoaded() || typeof msg.Fields != "object" || msg.Fields === null )
+        return(msg);
+    
+    for (var name in msg.Fields) {
+        let def = this._fields[name];
+        if ( !def || def.rwfType !== "ENUM" || typeof msg.Fields[name] != "number" )
+            continue;
+        
+        let display = this.getEnumDisplay(name, msg.Fields[name]);
+        if ( display !== undefined )
+            msg.Fields[name] = display;
+    }
+    
+    return(msg);
+}
+
+//
+// loadFields
+// Load the contents of an RDMFieldDictionary file.  Eg:
+//
+//      !ACRONYM    DDE ACRONYM          FID  RIPPLES TO  FIELD TYPE     LENGTH  RWF TYPE   RWF LEN
+//      BID        "BID"                  22  BID_1       PRICE              17  REAL64           7
+//      RDN_EXCHID "IDN EXCHANGE ID"       4  NULL        ENUMERATED    3 ( 3 )  ENUM             1
+//
+TRDictionary.prototype.loadFields = function(text) {
+    let pattern = /^(\S+)\s+"([^"]*)"\s+(-?\d+)\s+(\S+)\s+(\S+)\s+(\d+)(?:\s*\(\s*(\d+)\s*\))?\s+(\S+)\s+(\d+)/;
+    let ripples = {};
+    
+    text.split(/\r?\n/).forEach(function(line) {
+        let match = (line.charAt(0) == "!" ? null : pattern.exec(line));
+        if ( !match )
+            return;
+        
+        this._addField({
+            name: match[1],
+            fid: parseInt(match[3]),
+            longName: match[2],
+            rippleTo: 0,
+            type: match[5],
+            length: parseInt(match[6]),
+            enumLength: (match[7] ? parseInt(match[7]) : 0),
+            rwfType: match[8],
+            rwfLength: parseInt(match[9])
+        });
+        
+        if ( match[4] != "NULL" ) ripples[match[1]] = match[4];
+    }, this);
+    
+    // Ripple fields are named - resolve them once all fields are known
+    for (var name in ripples) {
+        if ( this._fields.hasOwnProperty(ripples[name]) )
+            this._fields[name].rippleTo = this._fields[ripples[name]].fid;
+    }
+    
+    let version = /^!tag Version\s+(\S+)/m.exec(text);
+    if ( version ) this.version.fields = version[1];
+    
+    this._fieldsLoaded = true;
+    return(this);
+}
+
+//
+// loadEnums
+// Load the contents of an enumtype.def file.  Each table lists the fields (acronym and FID) sharing the table,
+// followed by its values and display strings.  Eg:
+//
+//      RDN_EXCHID     4
+//      !
+//      ! VALUE      DISPLAY   MEANING
+//            0       "   "    Undefined
+//            1       "ASE"    NYSE AMEX
+//
+// Display strings may also be specified in hexadecimal, eg: #DE#.
+//
+TRDictionary.prototype.loadEnums = function(text) {
+    let fids = [];
+    let collecting = false;     // True while the values of the current table are being read
+    
+    text.split(/\r?\n/).forEach(function(line) {
+        if ( line.charAt(0) == "!" || line.trim().length == 0 )
+            return;
+        
+        let acronym = /^([A-Za-z]\S*)\s+(-?\d+)/.exec(line);
+        if ( acronym ) {
+            // The fields of a new table
+            if ( collecting ) fids = [];
+            collecting = false;
+            fids.push(parseInt(acronym[2]));
+            return;
+        }
+        
+        let value = /^\s+(-?\d+)\s+(?:"([^"]*)"|#([0-9A-Fa-f]+)#)/.exec(line);
+        if ( !value )
+            return;
+        
+        collecting = true;
+        let display = (value[2] !== undefined ? value[2] : value[3].replace(/../g, function(hex) { 
+            return( String.fromCharCode(parseInt(hex, 16)) ); 
+        }));
+        
+        fids.forEach(function(fid) {
+            this._enums[fid] = this._enums[fid] || {};
+            this._enums[fid][parseInt(value[1])] = display;
+        }, this);
+    }, this);
+    
+    let version = /^!tag DT_Version\s+(\S+)/m.exec(text);
+    if ( version ) this.version.enums = version[1];
+    
+    this._enumsLoaded = true;
+    return(this);
+}
+
+TRDictionary.prototype._addField = function(def) {
+    this._fields[def.name] = def;
+    this._fids[def.fid] = def;
+}
+
+//
+// _addSeries
+// Add the entries of a Dictionary domain refresh (RWFFld or RWFEnum).  Multi-part refreshes are added part by
+// part, the dictionary is only loaded once its last part ('complete') has been added.  Within the JSON protocol,
+// arrays are encoded as {Type, Data}.
+//
+TRDictionary.prototype._addSeries = function(name, series, complete=true) {
+    let data = function(array) {
+        return( Array.isArray(array) ? array : (array && Array.isArray(array.Data) ? array.Data : []) );
+    };
+    
+    series = series || {};
+    
+    let summary = (series.Summary && series.Summary.Elements ? series.Summary.Elements : {});
+    let entries = (Array.isArray(series.Entries) ? series.Entries : []);
+    
+    if ( name == "RWFFld" ) {
+        entries.forEach(function(entry) {
+            let e = entry.Elements;
+            if ( !e ) return;
+            
+            this._addField({
+                name: e.NAME,
+                fid: e.FID,
+                longName: e.LONGNAME,
+                rippleTo: e.RIPPLETO || 0,
+                type: (this._mfTypes.hasOwnProperty(e.TYPE) ? this._mfTypes[e.TYPE] : String(e.TYPE)),
+                length: e.LENGTH,
+                enumLength: e.ENUMLENGTH || 0,
+                rwfType: (this._rwfTypes.hasOwnProperty(e.RWFTYPE) ? this._rwfTypes[e.RWFTYPE] : String(e.RWFTYPE)),
+                rwfLength: e.RWFLEN
+            });
+        }, this);
+        
+        if ( summary.Version ) this.version.fields = summary.Version;
+        if ( complete ) this._fieldsLoaded = true;
+    }
+    else if ( name == "RWFEnum" ) {
+        entries.forEach(function(entry) {
+            let e = entry.Elements;
+            if ( !e ) return;
+            
+            let values = data(e.VALUE || e.VALUES);
+            let displays = data(e.DISPLAY);
+            
+            data(e.FIDS).forEach(function(fid) {
+                this._enums[fid] = this._enums[fid] || {};
+                for (var i=0; i < values.length; i++)
+                    this._enums[fid][values[i]] = displays[i];
+            }, this);
+        }, this);
+        
+        if ( summary.Version ) this.version.enums = summary.Version;
+        if ( complete ) this._enumsLoaded = true;
+    }
+}
+
+// Module exports
+TRWebSocketController.TRWebSocketController = TRWebSocketController;
+TRWebSocketController.status = TRWebSocketController.prototype.status;
+TRWebSocketController.events = TRWebSocketController.prototype.events;
+TRWebSocketController.Domains = Domains;
+TRWebSocketController.TRSubscription = TRSubscription;
+TRWebSocketController.TRChain = TRChain;
+TRWebSocketController.TRSymbolList = TRSymbolList;
+TRWebSocketController.TRDictionary = TRDictionary;
+TRWebSocketController.MRN_DOMAIN = MRN_DOMAIN;
+
+return(TRWebSocketController);
+}));
@@ -0,0 +1,21 @@
+//******************************************************************************************************************************************
+// TRWebSocketController (ES module)
+//
+// ES module entry point for bundled applications.  The controller itself is defined within the UMD module TRWebSocketController.js.
+//
+//      import TRWebSocketController, { status, events, Domains, MRN_DOMAIN, TRSubscription, TRChain, TRSymbolList, TRDictionary } from "trwebsocketcontroller";
+//******************************************************************************************************************************************
+
+import TRWebSocketController from "./TRWebSocketController.js";
+
+export const status = TRWebSocketController.status;
+export const events = TRWebSocketController.events;
+export const Domains = TRWebSocketController.Domains;
+export const MRN_DOMAIN = TRWebSocketController.MRN_DOMAIN;
+export const TRSubscription = TRWebSocketController.TRSubscription;
+export const TRChain = TRWebSocketController.TRChain;
+export const TRSymbolList = TRWebSocketController.TRSymbolList;
+export const TRDictionary = TRWebSocketController.TRDictionary;
+
+export { TRWebSocketController };
+export default TRWebSocketController;
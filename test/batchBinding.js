@@ -0,0 +1,135 @@
+//******************************************************************************************************************************************
+// Batch binding
+//
+// The items of a batch request are expected on sequential IDs, yet are bound to the ID they actually answer on - see _bindBatchItem().
+// Run via: npm test
+//******************************************************************************************************************************************
+const assert = require("assert");
+const TRWebSocketController = require("../TRWebSocketController.js");
+
+// Minimal WebSocket capturing the messages sent by the controller
+let sockets = [];
+
+function MockWebSocket(url, protocols) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+}
+
+MockWebSocket.prototype.send = function(text) { this.sent.push(JSON.parse(text)); };
+MockWebSocket.prototype.close = function() { this.readyState = 3; };
+MockWebSocket.prototype.open = function() { this.readyState = 1; this.onopen({}); };
+MockWebSocket.prototype.recv = function(msgs) { this.onmessage({data: JSON.stringify(msgs)}); };
+
+// Logged in controller along with its socket
+function login() {
+    let controller = new TRWebSocketController({WebSocket: MockWebSocket, reconnect: false});
+    controller.connect("ads:15000", "user");
+    
+    let ws = sockets[sockets.length-1];
+    ws.open();
+    ws.recv([{ID: 0, Type: "Refresh", Domain: "Login", Key: {Name: "user"}, State: {Stream: "Open", Data: "Ok"}}]);
+    ws.sent = [];
+    
+    return({controller: controller, ws: ws});
+}
+
+function refresh(id, name, service, bid) {
+    let key = {Name: name};
+    if ( service ) key.Service = service;
+    
+    return({ID: id, Type: "Refresh", Key: key, State: {Stream: "Open", Data: "Ok"}, Fields: {BID: bid}});
+}
+
+// Record the BID of the messages received by each handle
+function track(handles) {
+    let received = handles.map(function() { return([]); });
+    
+    handles.forEach(function(handle, i) {
+        handle.onRefresh(function(msg) { received[i].push(msg.Fields.BID); });
+        handle.onUpdate(function(msg) { received[i].push(msg.Fields.BID); });
+    });
+    
+    return(received);
+}
+
+let tests = {
+    "items answering in order are bound to their expected IDs": function() {
+        let c = login();
+        let handles = c.controller.requestData(["A", "B"]);
+        let received = track(handles);
+        
+        c.ws.recv([refresh(2, "A", null, 1), refresh(3, "B", null, 2)]);
+        
+        assert.deepStrictEqual(handles.map(function(h) { return(h.streamID); }), [2, 3]);
+        assert.deepStrictEqual(received, [[1], [2]]);
+    },
+    
+    "items answering out of order swap IDs": function() {
+        let c = login();
+        let handles = c.controller.requestData(["A", "B"]);
+        let received = track(handles);
+        
+        c.ws.recv([refresh(2, "B", null, 20), refresh(3, "A", null, 30)]);
+        c.ws.recv([{ID: 2, Type: "Update", Fields: {BID: 21}}, {ID: 3, Type: "Update", Fields: {BID: 31}}]);
+        
+        assert.deepStrictEqual(handles.map(function(h) { return(h.streamID); }), [3, 2]);
+        assert.deepStrictEqual(received, [[30, 31], [20, 21]]);
+    },
+    
+    "an item answering on a free ID moves onto it": function() {
+        let c = login();
+        let handles = c.controller.requestData(["A", "B"]);
+        let received = track(handles);
+        
+        c.ws.recv([refresh(9, "A", null, 1)]);
+        
+        assert.strictEqual(handles[0].streamID, 9);
+        assert.deepStrictEqual(received, [[1], []]);
+    },
+    
+    "the same item from different services is bound to its own batch": function() {
+        let c = login();
+        let s1 = c.controller.requestData(["A", "B"], {Service: "S1"});
+        let s2 = c.controller.requestData(["A", "C"], {Service: "S2"});
+        let received = track(s1.concat(s2));
+        
+        // S2's A answers first, on its expected ID
+        c.ws.recv([refresh(5, "A", "S2", 50)]);
+        c.ws.recv([refresh(2, "A", "S1", 20)]);
+        
+        assert.deepStrictEqual(s1.concat(s2).map(function(h) { return(h.streamID); }), [2, 3, 5, 6]);
+        assert.deepStrictEqual(received, [[20], [], [50], []]);
+    },
+    
+    "the service of the response selects the batch of an item answering out of order": function() {
+        let c = login();
+        let s1 = c.controller.requestData(["A", "B"], {Service: "S1"});
+        let s2 = c.controller.requestData(["C", "A"], {Service: "S2"});
+        let received = track(s1.concat(s2));
+        
+        // S2's A answers on the ID expected for C, C then answers on the ID expected for A
+        c.ws.recv([refresh(5, "A", "S2", 50), refresh(6, "C", "S2", 60), refresh(2, "A", "S1", 20)]);
+        
+        assert.deepStrictEqual(s1.concat(s2).map(function(h) { return(h.streamID); }), [2, 3, 6, 5]);
+        assert.deepStrictEqual(received, [[20], [], [60], [50]]);
+    }
+};
+
+let failed = 0;
+
+for (var name in tests) {
+    sockets = [];
+    
+    try {
+        tests[name]();
+        console.log("ok - " + name);
+    }
+    catch (e) {
+        failed++;
+        console.log("not ok - " + name + "\n" + e.message);
+    }
+}
+
+process.exitCode = (failed > 0 ? 1 : 0);
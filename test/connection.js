@@ -0,0 +1,160 @@
+//******************************************************************************************************************************************
+// Connection
+//
+// Establishing, replacing and losing our connection to the server - see connect(), connectAsync() and _onClose().
+// Run via: npm test
+//******************************************************************************************************************************************
+const assert = require("assert");
+const TRWebSocketController = require("../TRWebSocketController.js");
+
+// Minimal WebSocket capturing the messages sent by the controller
+let sockets = [];
+
+function MockWebSocket(url, protocols) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+}
+
+MockWebSocket.prototype.send = function(text) { this.sent.push(JSON.parse(text)); };
+MockWebSocket.prototype.close = function() { this.readyState = 3; };
+MockWebSocket.prototype.open = function() { this.readyState = 1; this.onopen({}); };
+MockWebSocket.prototype.recv = function(msgs) { this.onmessage({data: JSON.stringify(msgs)}); };
+MockWebSocket.prototype.drop = function() { this.readyState = 3; this.onclose({code: 1006}); };
+MockWebSocket.prototype.loginOk = function() {
+    this.recv([{ID: 0, Type: "Refresh", Domain: "Login", Key: {Name: "user"}, State: {Stream: "Open", Data: "Ok"}}]);
+};
+
+// Controller reporting its status events into 'reported'
+function controller(reconnect) {
+    let c = new TRWebSocketController({WebSocket: MockWebSocket, reconnect: reconnect});
+    c.reported = [];
+    c.onStatus(function(eventCode) { c.reported.push(eventCode); });
+
+    return(c);
+}
+
+let tests = {
+    "connect() replaces the existing connection": function() {
+        let c = controller({initialDelay: 0, jitter: 0});
+        c.connect("ads1:15000", "user");
+        sockets[0].open();
+        sockets[0].loginOk();
+        let handle = c.requestData("A");
+
+        c.connect("ads2:15000", "user");
+
+        assert.strictEqual(sockets.length, 2);
+        assert.strictEqual(sockets[0].readyState, 3);
+        assert.strictEqual(sockets[0].onclose, null);
+        assert.deepStrictEqual(c.reported, [c.status.connected, c.status.loginResponse, c.status.disconnected]);
+
+        // The open item is re-requested once logged in to the new server
+        sockets[1].open();
+        sockets[1].loginOk();
+        assert.ok(sockets[1].sent.some(function(msg) { return(msg.ID === handle.streamID && msg.Key.Name === "A"); }));
+    },
+
+    "connect() cancels a pending reconnection": function() {
+        let c = controller({initialDelay: 60000, jitter: 0});
+        c.connect("ads1:15000", "user");
+        sockets[0].open();
+        sockets[0].drop();
+
+        c.connect("ads2:15000", "user");
+        sockets[1].open();
+        sockets[1].loginOk();
+
+        assert.strictEqual(c._reconnectTimer, null);
+        assert.strictEqual(sockets.length, 2);
+        c.disconnect();
+    },
+
+"disconnect() while reconnecting reports the disconnect only once": function() {
+        let c = controller({initialDelay: 60000, jitter: 0});
+        c.connect("ads1:15000", "user");
+        sockets[0].open();
+        sockets[0].loginOk();
+        sockets[0].drop();
+
+        assert.strictEqual(c.ws, null);
+        c.disconnect();
+
+        assert.deepStrictEqual(c.reported, [c.status.connected, c.status.loginResponse, c.status.disconnected, c.status.reconnecting]);
+        assert.strictEqual(c._reconnectTimer, null);
+    },
+
+        "a superseded connectAsync() gives up its connection": function() {
+        let c = controller(false);
+        let first = c.connectAsync("ads1:15000", "user");
+        sockets[0].open();
+
+        let second = c.connectAsync("ads2:15000", "user");
+        assert.strictEqual(sockets[0].readyState, 3);
+        assert.strictEqual(sockets[0].onmessage, null);
+
+        sockets[1].open();
+        sockets[1].loginOk();
+
+        return(first.then(function() {
+            assert.fail("The superseded request resolved");
+        }, function(e) {
+            assert.match(e.message, /superseded/);
+            return(second);
+        }).then(function(msg) {
+            assert.strictEqual(msg.State.Data, "Ok");
+            assert.strictEqual(c.ws, sockets[1]);
+            c.disconnect();
+        }));
+    },
+
+    "connectAsync() fails over to the next server": function() {
+        let c = controller(false);
+        let pending = c.connectAsync(["ads1:15000", "ads2:15000"], "user");
+        sockets[0].drop();
+
+        assert.strictEqual(sockets.length, 2);
+        assert.strictEqual(sockets[1].url, "ws://ads2:15000/WebSocket");
+        sockets[1].open();
+        sockets[1].loginOk();
+
+        return(pending.then(function(msg) {
+            assert.strictEqual(msg.State.Data, "Ok");
+            c.disconnect();
+        }));
+    },
+
+    "connectAsync() rejects once every server has been tried": function() {
+        let c = controller(false);
+        let pending = c.connectAsync(["ads1:15000", "ads2:15000"], "user");
+        sockets[0].drop();
+        sockets[1].open();
+        sockets[1].drop();
+
+        return(pending.then(function() {
+            assert.fail("The request resolved");
+        }, function(e) {
+            assert.match(e.message, /closed before the login/);
+            assert.strictEqual(sockets.length, 2);
+            assert.strictEqual(c.ws, null);
+        }));
+    }
+};
+
+let failed = 0;
+
+// Tests may return a Promise - each one completes before the next starts
+Object.keys(tests).reduce(function(previous, name) {
+    return(previous.then(function() {
+        sockets = [];
+        return(tests[name]());
+    }).then(function() {
+        console.log("ok - " + name);
+    }, function(e) {
+        failed++;
+        console.log("not ok - " + name + "\n" + e.message);
+    }));
+}, Promise.resolve()).then(function() {
+    process.exitCode = (failed > 0 ? 1 : 0);
+});